@@ -0,0 +1,72 @@
+/**
+ * DeepSeek Timeline Site Adapters
+ *
+ * Everything the timeline engine knows about a particular chat web app lives in
+ * an adapter, so another site can be supported by registering one here and
+ * adding its URL to the content script `matches` in manifest.json.
+ *
+ * An adapter is a plain object. Only `id` and `matches` are required; every
+ * other member falls back to the engine's generic heuristics when absent or
+ * when it returns null:
+ *
+ *   id                                 short name, also used in export file names
+ *   matches(location)                  true when this adapter handles the page
+ *   isConversationRoute(location, doc) true when the page shows a conversation
+ *   scrollerSelector                   CSS selector for the conversation's scroll area
+ *   findConversationContainer(scroller) element whose descendants are the messages
+ *   listMessages(container)            message elements in document order
+ *   messageSelectors                   extra selectors tried after the generic ones
+ *   readRole(el)                       'user' | 'assistant' | null
+ *   readConversationId(pathname, search) stable id of the open conversation
+ *   isGenerating(doc)                  true while a reply is still streaming; the engine also
+ *                                      watches the last turn grow, this only bridges pauses
+ *
+ * Adapters are consulted in registration order; the generic adapter is the
+ * catch-all for pages matched in the manifest without a dedicated adapter.
+ */
+const TIMELINE_SITE_ADAPTERS = [];
+
+function registerTimelineSiteAdapter(adapter) {
+    if (!adapter || typeof adapter.id !== 'string' || typeof adapter.matches !== 'function') return;
+    if (TIMELINE_SITE_ADAPTERS.some(a => a.id === adapter.id)) return;
+    TIMELINE_SITE_ADAPTERS.push(adapter);
+}
+
+function resolveTimelineSiteAdapter(loc = location) {
+    for (const adapter of TIMELINE_SITE_ADAPTERS) {
+        try { if (adapter.matches(loc)) return adapter; } catch {}
+    }
+    return GENERIC_SITE_ADAPTER;
+}
+
+const GENERIC_SITE_ADAPTER = {
+    id: 'chat',
+    matches: () => true,
+    scrollerSelector: '[data-radix-scroll-area-viewport], [class*="scroll-area"]',
+    isConversationRoute(loc, doc) {
+        return Boolean(doc.querySelector(this.scrollerSelector));
+    }
+};
+
+registerTimelineSiteAdapter({
+    id: 'deepseek',
+    matches: (loc) => String(loc.hostname || '').toLowerCase().includes('deepseek'),
+    scrollerSelector: '.ds-scroll-area, [data-radix-scroll-area-viewport], [class*="scroll-area"]',
+    // DeepSeek's own message wrappers carry hashed classes next to a stable `ds-msg` prefix
+    messageSelectors: ['[class*="ds-msg"]'],
+    isConversationRoute(loc, doc) {
+        const host = String(loc.hostname || '').toLowerCase();
+        if (host.includes('chat.')) return true;
+        return Boolean(doc.querySelector('.ds-scroll-area, [data-radix-scroll-area-viewport]'));
+    },
+    // Conversations live at /a/chat/s/<uuid>
+    readConversationId(pathname) {
+        const match = String(pathname || '').match(/\/chat\/s\/([A-Za-z0-9_-]{4,})/);
+        return match ? match[1] : null;
+    }
+});
+
+// Required from Node (tests/); in the browser the manifest shares this scope with content.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIMELINE_SITE_ADAPTERS, GENERIC_SITE_ADAPTER, registerTimelineSiteAdapter, resolveTimelineSiteAdapter };
+}
@@ -0,0 +1,232 @@
+/**
+ * DeepSeek Timeline Backup
+ *
+ * Versioned export/import of everything the extension keeps in timelineStorage:
+ * bookmarks, notes, branch maps, legacy fingerprint maps and settings. A backup
+ * is one JSON document:
+ *
+ *   { format: 'deepseek-timeline-backup', version, exportedAt, settings,
+ *     conversations: { <cid>: { stars, notes, branches, messageIds } } }
+ *
+ * Each section holds the parsed value of its storage key, so the file stays
+ * readable and diffable. Importing either merges into the existing data or
+ * replaces it. When a conversation exists on both sides, merging works per
+ * turn: entries only on one side are kept, and for a turn present on both the
+ * newer entry wins (bookmark createdAt, note updatedAt), ties keeping the local
+ * one. Branch variants are unioned. Imported settings only replace local ones
+ * in replace mode or when none were saved yet.
+ *
+ * Loaded by the options page after storage.js and settings.js.
+ */
+const TIMELINE_BACKUP_FORMAT = 'deepseek-timeline-backup';
+const TIMELINE_BACKUP_VERSION = 1;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const entryTime = (entry, field) => (isPlainObject(entry) && Number.isFinite(Number(entry[field]))) ? Number(entry[field]) : 0;
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Per-turn maps where the newer entry wins; returns the merged map and how many turns differed
+function mergeTurnEntries(local, incoming, timeField) {
+    const out = { ...local };
+    let conflicts = 0;
+    for (const [id, entry] of Object.entries(incoming)) {
+        if (!(id in out)) { out[id] = entry; continue; }
+        if (sameJson(out[id], entry)) continue;
+        conflicts++;
+        if (entryTime(entry, timeField) > entryTime(out[id], timeField)) out[id] = entry;
+    }
+    return { value: out, conflicts };
+}
+
+// One storage key per conversation and section; `validate` returns an error message or null
+const TIMELINE_BACKUP_SECTIONS = [
+    {
+        name: 'stars',
+        prefix: 'deepseekTimelineStars:',
+        // v1 bare id arrays are upgraded here so the rest only sees { version, bookmarks }
+        upgrade(value) {
+            if (!Array.isArray(value)) return value;
+            const bookmarks = {};
+            value.forEach(id => { if (id != null && id !== '') bookmarks[String(id)] = { category: 'star' }; });
+            return { version: 2, bookmarks };
+        },
+        validate(value) {
+            if (!isPlainObject(value) || !isPlainObject(value.bookmarks)) return 'expected { version, bookmarks }';
+            if (!Object.values(value.bookmarks).every(isPlainObject)) return 'every bookmark must be an object';
+            return null;
+        },
+        merge(local, incoming) {
+            const { value, conflicts } = mergeTurnEntries(local.bookmarks, incoming.bookmarks, 'createdAt');
+            return { value: { ...incoming, ...local, bookmarks: value }, conflicts };
+        }
+    },
+    {
+        name: 'notes',
+        prefix: 'deepseekTimelineNotes:',
+        validate(value) {
+            if (!isPlainObject(value) || !isPlainObject(value.notes)) return 'expected { version, notes }';
+            if (!Object.values(value.notes).every(n => isPlainObject(n) && typeof n.text === 'string')) return 'every note needs a text';
+            return null;
+        },
+        merge(local, incoming) {
+            const { value, conflicts } = mergeTurnEntries(local.notes, incoming.notes, 'updatedAt');
+            return { value: { ...incoming, ...local, notes: value }, conflicts };
+        }
+    },
+    {
+        name: 'branches',
+        prefix: 'deepseekTimelineBranches:',
+        validate(value) {
+            if (!isPlainObject(value)) return 'expected an object of branch slots';
+            if (!Object.values(value).every(Array.isArray)) return 'every branch slot must be a list of variants';
+            return null;
+        },
+        // Variants are hints, not user data: keep every one seen on either side
+        merge(local, incoming) {
+            const out = { ...local };
+            for (const [slot, variants] of Object.entries(incoming)) {
+                const known = new Set((out[slot] || []).map(v => v && v.id));
+                out[slot] = (out[slot] || []).concat(variants.filter(v => v && !known.has(v.id)));
+            }
+            return { value: out, conflicts: 0 };
+        }
+    },
+    {
+        name: 'messageIds',
+        prefix: 'deepseekTimelineMessageIds:',
+        validate(value) {
+            if (!Array.isArray(value) || !value.every(pair => Array.isArray(pair) && pair.length === 2)) return 'expected a list of [fingerprint, id] pairs';
+            return null;
+        },
+        // Left behind by older versions; local fingerprints win
+        merge(local, incoming) {
+            const known = new Set(local.map(([fp]) => fp));
+            return { value: local.concat(incoming.filter(([fp]) => !known.has(fp))), conflicts: 0 };
+        }
+    }
+];
+
+class TimelineBackup {
+    constructor(store) {
+        this.store = store;
+    }
+
+    readJson(key) {
+        try {
+            const raw = this.store.getItem(key);
+            return raw == null ? null : JSON.parse(raw);
+        } catch {
+            return null;
+        }
+    }
+
+    // Snapshot of all stored data as a backup document
+    create() {
+        const conversations = {};
+        for (const section of TIMELINE_BACKUP_SECTIONS) {
+            for (const key of this.store.keys(section.prefix)) {
+                let value = this.readJson(key);
+                if (section.upgrade) value = section.upgrade(value);
+                if (value == null || section.validate(value)) continue;
+                const cid = key.slice(section.prefix.length);
+                if (!conversations[cid]) conversations[cid] = {};
+                conversations[cid][section.name] = value;
+            }
+        }
+        return {
+            format: TIMELINE_BACKUP_FORMAT,
+            version: TIMELINE_BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: this.readJson(TIMELINE_SETTINGS_KEY),
+            conversations
+        };
+    }
+
+    // Every problem found, as `path: message` strings; empty when the backup can be imported
+    validate(data) {
+        if (!isPlainObject(data) || data.format !== TIMELINE_BACKUP_FORMAT) return ['not a DeepSeek Timeline backup'];
+        const errors = [];
+        if (!Number.isInteger(data.version) || data.version < 1) errors.push('version: missing or invalid');
+        else if (data.version > TIMELINE_BACKUP_VERSION) errors.push(`version: ${data.version} was written by a newer version of the extension`);
+        if (data.settings != null && !isPlainObject(data.settings)) errors.push('settings: expected an object');
+        if (!isPlainObject(data.conversations)) {
+            errors.push('conversations: expected an object');
+            return errors;
+        }
+        for (const [cid, sections] of Object.entries(data.conversations)) {
+            if (!cid || cid.length > 200) { errors.push(`conversations: invalid id "${cid.slice(0, 40)}"`); continue; }
+            if (!isPlainObject(sections)) { errors.push(`conversations.${cid}: expected an object`); continue; }
+            for (const section of TIMELINE_BACKUP_SECTIONS) {
+                if (sections[section.name] == null) continue;
+                const value = section.upgrade ? section.upgrade(sections[section.name]) : sections[section.name];
+                const error = section.validate(value);
+                if (error) errors.push(`conversations.${cid}.${section.name}: ${error}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Write `data` into storage. `mode` is 'merge' (default) or 'replace', which first removes
+     * all existing data. Throws when the backup does not validate or storage refuses part of it
+     * (nothing is removed then); otherwise resolves to a summary { conversations, added, merged, conflicts, settings }.
+     */
+    async import(data, { mode = 'merge' } = {}) {
+        const errors = this.validate(data);
+        if (errors.length) throw new Error(`Invalid backup: ${errors.join('; ')}`);
+        const replace = mode === 'replace';
+        const next = new Map(); // key -> value to write
+        const summary = { conversations: 0, added: 0, merged: 0, conflicts: 0, settings: false };
+        for (const [cid, sections] of Object.entries(data.conversations)) {
+            let touched = false;
+            let merged = false;
+            for (const section of TIMELINE_BACKUP_SECTIONS) {
+                if (sections[section.name] == null) continue;
+                const incoming = section.upgrade ? section.upgrade(sections[section.name]) : sections[section.name];
+                const key = section.prefix + cid;
+                let local = replace ? null : this.readJson(key);
+                if (local != null && section.upgrade) local = section.upgrade(local);
+                let value = incoming;
+                if (local != null && !section.validate(local)) {
+                    const result = section.merge(local, incoming);
+                    value = result.value;
+                    summary.conflicts += result.conflicts;
+                    merged = true;
+                }
+                next.set(key, JSON.stringify(value));
+                touched = true;
+            }
+            if (!touched) continue;
+            summary.conversations++;
+            if (merged) summary.merged++;
+            else summary.added++;
+        }
+        if (isPlainObject(data.settings) && (replace || this.store.getItem(TIMELINE_SETTINGS_KEY) == null)) {
+            next.set(TIMELINE_SETTINGS_KEY, JSON.stringify(TimelineSettings.normalize(data.settings)));
+            summary.settings = true;
+        }
+        const saved = await Promise.all(Array.from(next, ([key, value]) => this.store.setItem(key, value)));
+        const failed = Array.from(next.keys()).filter((key, i) => !saved[i]);
+        if (failed.length) {
+            throw new Error(`Import incomplete: ${failed.length} of ${next.size} items could not be saved (storage full?)`);
+        }
+        // Replacing removes what the backup does not rewrite (keys it does rewrite are just overwritten)
+        if (replace) {
+            const stale = TIMELINE_BACKUP_SECTIONS.flatMap(section => this.store.keys(section.prefix));
+            if (this.store.getItem(TIMELINE_SETTINGS_KEY) != null) stale.push(TIMELINE_SETTINGS_KEY);
+            await Promise.all(stale.filter(key => !next.has(key)).map(key => this.store.removeItem(key)));
+        }
+        return summary;
+    }
+
+    fileName(date = new Date()) {
+        return `deepseek-timeline-backup-${date.toISOString().slice(0, 10)}.json`;
+    }
+}
+
+const timelineBackup = new TimelineBackup(timelineStorage);
+
+// Required from Node (tests/), after the harness has exposed storage and settings as globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIMELINE_BACKUP_FORMAT, TIMELINE_BACKUP_VERSION, TIMELINE_BACKUP_SECTIONS, TimelineBackup, timelineBackup };
+}
@@ -12,8 +12,25 @@
  * 2.  This solves all alignment edge cases for both short and long conversations,
  *     achieving the "unnoticeable" and "silky smooth" quality of AI Studio.
  */
+
+// Bookmark categories; each maps to a --timeline-bookmark-<id> color in styles.css
+const BOOKMARK_CATEGORIES = [
+    { id: 'star', label: 'Star' },
+    { id: 'decision', label: 'Decision' },
+    { id: 'bug', label: 'Bug' },
+    { id: 'todo', label: 'Todo' },
+    { id: 'idea', label: 'Idea' }
+];
+// Version written into deepseekTimelineStars:<cid>; v1 was a bare array of turn ids
+const BOOKMARK_SCHEMA_VERSION = 2;
+// Version written into deepseekTimelineNotes:<cid>
+const NOTE_SCHEMA_VERSION = 1;
+const NOTE_MAX_LENGTH = 4000;
+
 class TimelineManager {
     constructor() {
+        // Site-specific selectors and ids (adapters.js)
+        this.site = resolveTimelineSiteAdapter();
         this.scrollContainer = null;
         this.conversationContainer = null;
         this.markers = [];
@@ -66,6 +83,27 @@ class TimelineManager {
         this.onSliderDown = null;
         this.onSliderMove = null;
         this.onSliderUp = null;
+        // Action buttons next to the bar (search, ...)
+        this.ui.actions = null;
+        this.onActionsClick = null;
+        // Search/filter popover
+        this.ui.searchPanel = null;
+        this.ui.searchInput = null;
+        this.ui.searchCounter = null;
+        this.searchQuery = '';
+        this.searchIncludeReplies = false;
+        this.searchHits = [];          // ordered turn ids matching the query
+        this.searchHitSet = new Set();
+        this.searchCursor = -1;        // index into searchHits of the current hit
+        this.onSearchInput = null;
+        this.onSearchKeyDown = null;
+        this.onSearchRepliesChange = null;
+        this.pendingJump = null;       // { turnId, slot, expires } carried over from the bookmarks panel
+        this.debouncedRunSearch = this.debounce(() => this.runSearch(), 120);
+        // Export menu
+        this.ui.exportMenu = null;
+        this.onExportMenuClick = null;
+        this.onExportOutsideDown = null;
         this.markersVersion = 0;
         // Resize idle correction scheduling + debug perf
         this.resizeIdleTimer = null;
@@ -73,22 +111,54 @@ class TimelineManager {
         this.resizeIdleRICId = null; // requestIdleCallback id
         this.debugPerf = false;
         try { this.debugPerf = (localStorage.getItem('deepseekTimelineDebugPerf') === '1'); } catch {}
+        // Opt-in: also render assistant replies as (hollow) markers on the same track
+        this.showAssistantMarkers = false;
+        this.scrollDuration = 600; // ms, smoothScrollTo default
+        // Minimap: draw each turn as a segment whose width/shade follows its text + code volume
+        this.minimapMode = false;
+        // Time axis: place turns by their timestamps instead of scroll offset (see applyTimeAxis)
+        this.timeAxis = false;
+        this.timeAxisIdleGap = 30 * 60 * 1000; // ms; longer pauses are drawn shorter
+        this.timeAxisActive = false;           // off while fewer than two turns carry a timestamp
+        this.timeSeparators = [];              // [{ index, kind: 'day' | 'gap', label }]
+        // User settings (settings.js); applied live via applySettings()
+        this.settings = timelineSettings;
+        this.unsubscribeSettings = null;
         this.onVisualViewportResize = null;
         this.resizeIdleTimer = null;
         this.resizeIdleDelay = 140; // ms, settle time before min-gap correction
 
         this.debouncedRecalculateAndRender = this.debounce(this.recalculateAndRenderMarkers, 350);
-        this.persistFingerprintMapDebounced = this.debounce(() => this.persistFingerprintMap(false), 800);
-
-        // Star/Highlight feature state
-        this.starred = new Set();
+        // Streaming replies: while only the last turn changes, refresh the tail instead of rebuilding
+        this.turnElements = [];          // annotated turns (both roles) in document order, as last laid out
+        this.generating = false;
+        this.generatingTurnId = null;    // marker carrying the pulse while a reply streams in
+        this.tailTextLength = 0;
+        this.tailUpdateTimer = null;
+        this.tailUpdateInterval = 250;   // ms between tail refreshes while streaming
+        this.generationIdleTimer = null;
+        this.generationIdleDelay = 1500; // ms without growth before a reply counts as complete
+        // Turns whose text changed since the last rebuild; other surviving markers keep their summary
+        this.dirtyTurns = new WeakSet();
+        this.persistBranchMapDebounced = this.debounce(() => this.persistBranchMap(), 800);
+
+        // Star/Highlight feature state: turnId -> { label, category, note, createdAt }
+        this.starred = new Map();
+        // Markdown notes on any turn, starred or not: turnId -> { text, summary, slot, role, ordinal, updatedAt }
+        this.notes = new Map();
         this.markerMap = new Map();
         this.conversationId = this.extractConversationIdFromPath(location.pathname);
-        this.messageIdMap = new WeakMap();
-        this.fingerprintToTurnId = new Map();
-        this.fingerprintMapDirty = false;
-        this.fingerprintMapLimit = 1200;
+        this.messageIdMap = new WeakMap(); // element -> { id, key } for generated ids
+        this.legacyTurnIds = new Map();    // fingerprint -> id saved by older versions
+        this.turnIdAliases = new Map();    // stale turn id -> id of the same turn now
         this.lastRoleGuess = 'assistant';
+        // Branch variants seen per slot (edited prompts / regenerated replies), see updateBranchVariants()
+        this.branchSlots = new Map(); // slot -> [{ id, head }]
+        this.branchInfo = new Map();  // turnId -> { slot, index, count, ordinal } for turns currently in the DOM
+        this.branchSlotLimit = 2000;
+        this.branchVariantLimit = 12;
+        // Persistence (chrome.storage-backed, see storage.js)
+        this.store = timelineStorage;
         // Long-press gesture state
         this.longPressDuration = 550; // ms
         this.longPressMoveTolerance = 6; // px
@@ -97,8 +167,236 @@ class TimelineManager {
         this.pressStartPos = null;
         this.pressTargetDot = null;
         this.suppressClickUntil = 0;
-        // Cross-tab sync
+        // Cross-tab/device sync (storage.js change subscription)
         this.onStorage = null;
+        this.unsubscribeStorage = null;
+        // Global keyboard shortcuts
+        this.onKeyDown = null;
+        // Bookmark editor popover
+        this.ui.bookmarkEditor = null;
+        this.bookmarkEditorTurnId = null;
+        this.onBookmarkEditorClick = null;
+        this.onBookmarkEditorKeyDown = null;
+        this.onBookmarkEditorOutsideDown = null;
+        this.onTimelineContextMenu = null;
+        // Cross-conversation bookmarks panel
+        this.ui.bookmarksPanel = null;
+        this.onBookmarksPanelClick = null;
+        // Preview card (prompt + start of the reply), after a hover delay or at once with Shift
+        this.ui.previewCard = null;
+        this.richPreview = true;
+        this.previewDelay = 700; // ms
+        this.previewTimer = null;
+        this.previewDot = null;  // dot under the pointer/focus that the card is for
+        this.onPreviewKeyDown = null;
+        // Screen readers: the dot list is a listbox with one tab stop (roving tabindex) and the
+        // active turn is announced through a polite live region
+        this.ui.liveRegion = null;
+        this.focusTurnId = null; // dot holding keyboard focus; the tab stop follows the active turn otherwise
+        this.announcedTurnId = null;
+        this.announceTimer = null;
+        this.announceDelay = 500; // ms, so scrolling through turns announces where it settles
+        this.onDotKeyDown = null;
+        // Touch layout (coarse pointer or narrow window): the bar folds away behind an edge handle,
+        // a finger drag along it scrubs through turns, and dots get finger-sized hit targets
+        this.touchMode = true;       // setting: allow the touch layout at all
+        this.touchLayout = false;    // currently applied
+        this.touchExpanded = false;
+        this.touchBreakpoint = 768;  // px; narrower windows get the touch layout with any pointer
+        this.touchMinGap = 44;       // px between dots, so 44px hit targets do not overlap
+        this.ui.edgeHandle = null;
+        this.onEdgeHandleClick = null;
+        this.onTouchOutsideDown = null;
+        this.onVisualViewportScroll = null;
+        // Scrub: press and drag along the bar to preview the nearest turn, release to jump there.
+        // State while pressed: { pointerId, startY, index, moved }
+        this.scrubDrag = true;        // setting; fingers in the touch layout always scrub
+        this.scrub = null;
+        this.scrubEdgeZone = 24;      // px at the bar's ends where dragging scrolls the track
+        this.onScrubDown = null;
+        this.onScrubMove = null;
+        this.onScrubEnd = null;
+        this.onScrubKeyDown = null;
+        // Placement (settings): docked right/left or floating where the user dragged it, optionally
+        // auto-hidden until the pointer comes near, or collapsed to a thin line until hovered
+        this.dock = 'right';
+        this.autoHide = false;
+        this.collapsedLine = false;
+        this.placementKey = 'deepseekTimelinePlacement'; // floating position, kept per device
+        this.floatingPosition = null; // { x, y }: fractions of the free space left/above the bar
+        this.gripDrag = null;         // { pointerId, dx, dy } while the floating bar is dragged
+        this.ui.dragGrip = null;
+        this.onGripDown = null;
+        this.onGripMove = null;
+        this.onGripUp = null;
+        this.timelineRevealed = false; // auto-hide: pointer or focus near the bar
+        this.lineOpen = false;         // collapsed line: pointer or focus on the bar
+        this.revealZone = 48;          // px around the bar where the pointer reveals it
+        this.revealHideDelay = 600;    // ms
+        this.revealTimer = null;
+        this.pendingReveal = null;
+        this.lastPointerReveal = null;
+        this.onRevealPointerMove = null;
+        // Theme (settings): resolved onto <html> so the bar and everything floating beside it follow.
+        // 'auto' reads the colors the page paints instead of its theme classes, see resolveColorScheme()
+        this.theme = 'auto';
+        this.palette = 'default';
+        this.accentColor = '';
+        this.themeObserver = null;
+        this.themeRafId = null;
+        this.themeSettleTimer = null;
+        this.themeSettleDelay = 400; // ms, for pages that fade between themes
+        this.colorSchemeQuery = null;
+        this.onColorSchemeChange = null;
+    }
+
+    // Copy settings onto instance fields; re-render when a value affects layout
+    applySettings(values) {
+        if (!values) return;
+        const prevAssistant = this.showAssistantMarkers;
+        const prevMinimap = this.minimapMode;
+        const prevTimeAxis = `${this.timeAxis}:${this.timeAxisIdleGap}`;
+        this.showAssistantMarkers = !!values.showAssistantMarkers;
+        this.minimapMode = !!values.minimapMode;
+        this.timeAxis = !!values.timeAxis;
+        this.timeAxisIdleGap = values.timeAxisIdleGap * 60 * 1000;
+        this.longPressDuration = values.longPressDuration;
+        this.scrollDuration = values.scrollDuration;
+        this.minActiveChangeInterval = values.minActiveChangeInterval;
+        this.sliderFadeDelay = values.sliderFadeDelay;
+        this.richPreview = !!values.richPreview;
+        this.previewDelay = values.previewDelay;
+        this.touchMode = !!values.touchMode;
+        this.scrubDrag = !!values.scrubDrag;
+        this.dock = values.dock;
+        this.autoHide = !!values.autoHide;
+        this.collapsedLine = !!values.collapsedLine;
+        this.theme = values.theme;
+        this.palette = values.palette;
+        this.accentColor = values.accentColor;
+        if (!this.richPreview) this.cancelPreview();
+        if (!this.ui.timelineBar) return;
+        this.applySettingsToUI();
+        this.updateTouchLayout({ relayout: false });
+        if (prevAssistant !== this.showAssistantMarkers || prevMinimap !== this.minimapMode
+            || prevTimeAxis !== `${this.timeAxis}:${this.timeAxisIdleGap}`) {
+            this.recalculateAndRenderMarkers();
+        } else {
+            this.updateTimelineGeometry();
+            this.syncTimelineTrackToMain();
+            this.updateVirtualRangeAndRender();
+        }
+    }
+
+    // CSS-backed settings live as custom properties on the bar (dots and tooltips inherit them)
+    applySettingsToUI() {
+        const bar = this.ui.timelineBar;
+        if (!bar) return;
+        const values = this.settings.values;
+        bar.classList.toggle('minimap', !!values.minimapMode);
+        for (const field of TIMELINE_SETTINGS_SCHEMA) {
+            if (!field.cssVar) continue;
+            try { bar.style.setProperty(field.cssVar, `${values[field.key]}${field.unit || ''}`); } catch {}
+        }
+        this.applyPlacement();
+        this.applyTheme();
+    }
+
+    // --- Theme ---
+    applyTheme() {
+        const root = document.documentElement;
+        if (!root) return;
+        // Only write what changed: the page watch ignores our attributes but not <html>'s style
+        const set = (name, value) => {
+            if (value == null) { if (root.hasAttribute(name)) root.removeAttribute(name); }
+            else if (root.getAttribute(name) !== value) root.setAttribute(name, value);
+        };
+        set('data-timeline-theme', this.theme);
+        set('data-timeline-scheme', this.resolveColorScheme());
+        set('data-timeline-palette', this.palette === 'default' ? null : this.palette);
+        set('data-timeline-accent', this.accentColor ? '' : null);
+        try {
+            const current = root.style.getPropertyValue('--timeline-accent');
+            if (!this.accentColor && current) root.style.removeProperty('--timeline-accent');
+            else if (this.accentColor && current !== this.accentColor) root.style.setProperty('--timeline-accent', this.accentColor);
+        } catch {}
+        this.updateThemeWatch();
+    }
+
+    // 'auto' goes by the background the page actually paints, so it works whatever class or
+    // attribute the site's theme switch uses; the OS preference only when nothing is painted
+    resolveColorScheme() {
+        if (this.theme === 'light' || this.theme === 'dark') return this.theme;
+        const luminance = this.pageBackgroundLuminance();
+        if (luminance !== null) return (luminance < 0.2) ? 'dark' : 'light';
+        try { if (window.matchMedia?.('(prefers-color-scheme: dark)').matches) return 'dark'; } catch {}
+        return 'light';
+    }
+
+    // Relative luminance (0-1) of the first mostly opaque background from the conversation up, or null
+    pageBackgroundLuminance() {
+        let el = this.scrollContainer || document.body;
+        while (el && el.nodeType === 1) {
+            let color = '';
+            try { color = getComputedStyle(el).backgroundColor || ''; } catch {}
+            const m = /rgba?\(([^)]+)\)/.exec(color);
+            if (m) {
+                const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+                if (a > 0.5) {
+                    const lin = (c) => { c /= 255; return (c <= 0.03928) ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4; };
+                    return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+                }
+            }
+            el = el.parentElement;
+        }
+        return null;
+    }
+
+    // 'auto' follows the page live: theme switches rewrite classes, attributes or styles on
+    // <html>/<body>, and the OS scheme can change under a page that follows it
+    updateThemeWatch() {
+        const want = this.theme === 'auto' && !!this.ui.timelineBar;
+        if (!want) {
+            this.stopThemeWatch();
+            return;
+        }
+        if (this.themeObserver) return;
+        this.themeObserver = new MutationObserver((records) => {
+            if (records.every(r => (r.attributeName || '').startsWith('data-timeline-'))) return;
+            this.scheduleThemeRefresh();
+        });
+        for (const el of [document.documentElement, document.body]) {
+            if (el) this.themeObserver.observe(el, { attributes: true });
+        }
+        try {
+            this.colorSchemeQuery = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+            this.onColorSchemeChange = () => this.scheduleThemeRefresh();
+            this.colorSchemeQuery?.addEventListener('change', this.onColorSchemeChange);
+        } catch {}
+    }
+
+    stopThemeWatch() {
+        try { this.themeObserver?.disconnect(); } catch {}
+        this.themeObserver = null;
+        try { this.colorSchemeQuery?.removeEventListener('change', this.onColorSchemeChange); } catch {}
+        this.colorSchemeQuery = this.onColorSchemeChange = null;
+        if (this.themeRafId !== null) { try { cancelAnimationFrame(this.themeRafId); } catch {} this.themeRafId = null; }
+        if (this.themeSettleTimer) { clearTimeout(this.themeSettleTimer); this.themeSettleTimer = null; }
+    }
+
+    // Next frame, once the page's styles have applied, and again after any theme transition
+    scheduleThemeRefresh() {
+        if (this.themeRafId === null) {
+            this.themeRafId = requestAnimationFrame(() => {
+                this.themeRafId = null;
+                this.applyTheme();
+            });
+        }
+        if (this.themeSettleTimer) clearTimeout(this.themeSettleTimer);
+        this.themeSettleTimer = setTimeout(() => {
+            this.themeSettleTimer = null;
+            this.applyTheme();
+        }, this.themeSettleDelay);
     }
 
     perfStart(name) {
@@ -106,36 +404,52 @@ class TimelineManager {
         try { performance.mark(`tg-${name}-start`); } catch {}
     }
 
-    perfEnd(name) {
+    // `detail` is appended to the log line
+    perfEnd(name, detail = '') {
         if (!this.debugPerf) return;
         try {
             performance.mark(`tg-${name}-end`);
             performance.measure(`tg-${name}`, `tg-${name}-start`, `tg-${name}-end`);
             const entries = performance.getEntriesByName(`tg-${name}`).slice(-1)[0];
-            if (entries) console.debug(`[TimelinePerf] ${name}: ${Math.round(entries.duration)}ms`);
+            if (entries) {
+                console.debug(`[TimelinePerf] ${name}: ${Math.round(entries.duration)}ms${detail ? ` (${detail})` : ''}`);
+            }
         } catch {}
     }
 
     async init() {
+        await this.store.ready();
+        this.applySettings(this.settings.load());
+        // Switched off from the popup/options page; the entry point re-inits when it flips back
+        if (!this.settings.values.enabled) return;
         this.conversationId = this.extractConversationIdFromPath(location.pathname);
+        this.adoptLegacyConversationData();
+        this.migrateLegacyStars();
         this.loadMessageIdMap();
+        this.loadBranchMap();
+        this.loadFloatingPosition();
 
         const elementsFound = await this.findCriticalElements();
         if (!elementsFound) return;
 
         this.injectTimelineUI();
+        this.applySettingsToUI();
+        this.updateTouchLayout({ relayout: false });
         this.setupEventListeners();
         this.setupObservers();
-        // Load persisted star markers for current conversation
+        // Load persisted star markers and notes for current conversation
         this.loadStars();
+        this.loadNotes();
         // Perform an initial render so the timeline populates even if no new
         // mutations occur after we attach observers (e.g., when the page is
         // already fully hydrated before our script runs).
         this.recalculateAndRenderMarkers();
+        // Finish a jump requested from the bookmarks panel on another conversation
+        this.consumePendingJump();
     }
     
     async findCriticalElements() {
-        const scroller = await this.waitForElement('.ds-scroll-area, [data-radix-scroll-area-viewport], [class*="scroll-area"]');
+        const scroller = await this.waitForElement(this.site.scrollerSelector || GENERIC_SITE_ADAPTER.scrollerSelector);
         if (!scroller) return false;
 
         let scrollCandidate = scroller;
@@ -150,13 +464,17 @@ class TimelineManager {
         }
 
         this.scrollContainer = scrollCandidate;
-        this.conversationContainer = this.resolveConversationContainer(scrollCandidate);
-        if (!this.conversationContainer) this.conversationContainer = scroller;
+        this.conversationContainer = this.findConversationRoot(scrollCandidate) || scroller;
 
         this.annotateAllMessages();
         return true;
     }
 
+    // The adapter's container when it names one, the generic guess otherwise
+    findConversationRoot(scroller) {
+        return this.site.findConversationContainer?.(scroller) || this.resolveConversationContainer(scroller);
+    }
+
     resolveConversationContainer(scroller) {
         if (!scroller || !(scroller instanceof HTMLElement)) return null;
         const selectors = [
@@ -180,6 +498,8 @@ class TimelineManager {
     collectPotentialMessageNodes() {
         if (!this.conversationContainer) return [];
         const container = this.conversationContainer;
+        const listed = this.site.listMessages?.(container);
+        if (listed) return this.pruneNestedMessageNodes(Array.from(listed).filter(el => this.isEligibleMessageNode(el)));
         const selectors = [
             '[data-message-id]',
             '[data-msg-id]',
@@ -193,7 +513,7 @@ class TimelineManager {
             '[class*="bubble"]',
             '[class*="chat-item"]',
             '[class*="conversation-item"]',
-            '[class*="ds-msg"]'
+            ...(this.site.messageSelectors || [])
         ];
         const candidates = [];
         const seen = new Set();
@@ -253,13 +573,16 @@ class TimelineManager {
         const nodes = this.collectPotentialMessageNodes();
         if (!nodes.length) return;
         const roles = this.inferRoles(nodes);
+        // Ids already handed out stay put; new turns are numbered around them
+        const pass = { counts: new Map(), taken: new Set() };
+        nodes.forEach(el => { if (this.messageIdMap.has(el)) pass.taken.add(this.messageIdMap.get(el).id); });
         for (let i = 0; i < nodes.length; i++) {
             const el = nodes[i];
             const role = roles[i];
             if (role && !el.dataset.turn) {
                 el.dataset.turn = role;
             }
-            const id = this.ensureMessageId(el);
+            const id = this.ensureMessageId(el, pass);
             if (id && !el.dataset.turnId) {
                 el.dataset.turnId = id;
             }
@@ -274,7 +597,8 @@ class TimelineManager {
         let lastRole = this.lastRoleGuess || 'assistant';
         for (let i = 0; i < nodes.length; i++) {
             const el = nodes[i];
-            let role = this.readRoleFromAttributes(el);
+            let role = this.normalizeRole(this.site.readRole?.(el));
+            if (!role) role = this.readRoleFromAttributes(el);
             if (!role) role = this.heuristicRole(el);
             if (!role) {
                 role = (lastRole === 'user') ? 'assistant' : 'user';
@@ -435,17 +759,7 @@ class TimelineManager {
     computeMessageFingerprint(el) {
         if (!(el instanceof HTMLElement)) return null;
         const conversationKey = this.conversationId || this.extractConversationIdFromPath(location.pathname) || 'global';
-        let roleGuess = null;
-        if (el.dataset?.turn) {
-            roleGuess = this.normalizeRole(el.dataset.turn) || el.dataset.turn;
-        }
-        if (!roleGuess) {
-            roleGuess = this.readRoleFromAttributes(el);
-        }
-        if (!roleGuess) {
-            roleGuess = this.heuristicRole(el);
-        }
-        roleGuess = this.normalizeRole(roleGuess) || roleGuess || '';
+        const roleGuess = this.readTurnRole(el);
         const signature = this.buildMessageSignature(el);
         const timestamp = this.extractTimestampText(el);
         return JSON.stringify({ c: conversationKey, r: roleGuess || '', s: signature, t: timestamp || '' });
@@ -491,70 +805,66 @@ class TimelineManager {
         return [textHash, textLength, leadingHash, htmlHash || outer].join('|');
     }
 
-    isTurnIdTaken(id, fingerprint) {
-        if (!id) return false;
-        for (const [fp, existingId] of this.fingerprintToTurnId.entries()) {
-            if (existingId === id && fp !== fingerprint) return true;
-        }
-        return false;
-    }
-
-    trimFingerprintMapIfNeeded() {
-        if (this.fingerprintToTurnId.size < this.fingerprintMapLimit) return;
-        const overflow = this.fingerprintToTurnId.size - this.fingerprintMapLimit + 1;
-        let removed = 0;
-        while (removed < overflow) {
-            const oldest = this.fingerprintToTurnId.keys().next();
-            if (oldest.done) break;
-            this.fingerprintToTurnId.delete(oldest.value);
-            removed++;
-        }
-        if (removed > 0) this.fingerprintMapDirty = true;
-    }
-
+    // Fingerprint -> id maps written by versions before content-addressed ids. Read-only: they only
+    // let stars saved under those ids find their turn again (see reconcileOrphanedStars).
     loadMessageIdMap() {
-        this.fingerprintToTurnId.clear();
-        this.fingerprintMapDirty = false;
+        this.legacyTurnIds.clear();
         const cid = this.conversationId;
         if (!cid) return;
         try {
-            const raw = localStorage.getItem(`deepseekTimelineMessageIds:${cid}`);
+            const raw = this.store.getItem(`deepseekTimelineMessageIds:${cid}`);
             if (!raw) return;
             const parsed = JSON.parse(raw);
-            if (Array.isArray(parsed)) {
-                for (const entry of parsed) {
-                    if (!Array.isArray(entry) || entry.length < 2) continue;
-                    const [fingerprint, id] = entry;
-                    if (typeof fingerprint === 'string' && typeof id === 'string') {
-                        this.fingerprintToTurnId.set(fingerprint, id);
-                    }
-                }
-            } else if (parsed && typeof parsed === 'object') {
-                for (const [fingerprint, id] of Object.entries(parsed)) {
-                    if (typeof fingerprint === 'string' && typeof id === 'string') {
-                        this.fingerprintToTurnId.set(fingerprint, id);
-                    }
+            const entries = Array.isArray(parsed) ? parsed : Object.entries(parsed || {});
+            for (const entry of entries) {
+                if (!Array.isArray(entry) || entry.length < 2) continue;
+                const [fingerprint, id] = entry;
+                if (typeof fingerprint === 'string' && typeof id === 'string') {
+                    this.legacyTurnIds.set(fingerprint, id);
                 }
             }
         } catch {}
     }
 
-    persistFingerprintMap(force = false) {
-        if (!force && !this.fingerprintMapDirty) return;
-        const cid = this.conversationId;
-        if (!cid) return;
+    // Once no star depends on the legacy map it can go
+    dropLegacyTurnIds() {
+        if (!this.legacyTurnIds.size || !this.conversationId) return;
+        this.legacyTurnIds.clear();
+        this.store.removeItem(`deepseekTimelineMessageIds:${this.conversationId}`);
+    }
+
+    readTurnRole(el) {
+        let role = null;
+        if (el.dataset?.turn) {
+            role = this.normalizeRole(el.dataset.turn) || el.dataset.turn;
+        }
+        if (!role) role = this.readRoleFromAttributes(el);
+        if (!role) role = this.heuristicRole(el);
+        return this.normalizeRole(role) || role || '';
+    }
+
+    // What the author wrote, without toolbar labels or (relative) timestamps rendered inside the message
+    readTurnText(el) {
+        const skip = 'button, time, svg, style, script, [aria-hidden="true"]';
+        let text = '';
         try {
-            const entries = Array.from(this.fingerprintToTurnId.entries());
-            if (entries.length > this.fingerprintMapLimit) {
-                const start = entries.length - this.fingerprintMapLimit;
-                entries.splice(0, start);
+            const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                const ui = node.parentElement?.closest(skip);
+                if (ui && el.contains(ui)) continue;
+                text += ` ${node.nodeValue}`;
             }
-            localStorage.setItem(`deepseekTimelineMessageIds:${cid}`, JSON.stringify(entries));
-            this.fingerprintMapDirty = false;
-        } catch {}
+        } catch {
+            text = el.textContent || '';
+        }
+        return this.normalizeText(text);
     }
 
-    ensureMessageId(el) {
+    // Ids for turns the site does not number itself: `ds-turn-<hash(role, text)>`, and `-<n>` on the
+    // n-th repeat of identical content in conversation order ("continue", "go on"). The same page
+    // always yields the same ids, so nothing has to be stored. `pass` is shared by one
+    // annotateAllMessages() walk: { counts: contentKey -> occurrences so far, taken: ids in use }.
+    ensureMessageId(el, pass = null) {
         if (!(el instanceof HTMLElement)) return null;
 
         const attrCandidates = [
@@ -582,39 +892,33 @@ class TimelineManager {
             }
         }
 
+        const state = pass || { counts: new Map(), taken: new Set() };
         if (this.messageIdMap.has(el)) {
             const cached = this.messageIdMap.get(el);
-            if (!el.dataset.turnId) el.dataset.turnId = cached;
-            return cached;
-        }
-
-        const fingerprint = this.computeMessageFingerprint(el);
-        if (!fingerprint) return null;
-
-        let id = this.fingerprintToTurnId.get(fingerprint);
-        if (!id) {
-            const baseHash = this.hashString(fingerprint);
-            let candidate = `ds-turn-${baseHash}`;
-            if (this.isTurnIdTaken(candidate, fingerprint)) {
-                let suffix = 1;
-                while (suffix < 10) {
-                    const suffixHash = this.hashString(`${fingerprint}|${suffix}`);
-                    candidate = `ds-turn-${baseHash}-${suffixHash.slice(0, 4)}`;
-                    if (!this.isTurnIdTaken(candidate, fingerprint)) break;
-                    suffix++;
-                }
-                if (this.isTurnIdTaken(candidate, fingerprint)) {
-                    candidate = `ds-turn-${baseHash}-${Date.now().toString(36)}`;
-                }
-            }
-            id = candidate;
-            this.trimFingerprintMapIfNeeded();
-            this.fingerprintToTurnId.set(fingerprint, id);
-            this.fingerprintMapDirty = true;
-            this.persistFingerprintMapDebounced();
+            state.counts.set(cached.key, (state.counts.get(cached.key) || 0) + 1);
+            state.taken.add(cached.id);
+            if (!el.dataset.turnId) el.dataset.turnId = cached.id;
+            return cached.id;
         }
 
-        this.messageIdMap.set(el, id);
+        const text = this.readTurnText(el) || this.buildMessageSignature(el);
+        const key = this.hashString(`${this.readTurnRole(el)}|${text}`);
+        let n = (state.counts.get(key) || 0) + 1;
+        state.counts.set(key, n);
+        let id = (n === 1) ? `ds-turn-${key}` : `ds-turn-${key}-${n}`;
+        // A repeat loaded out of order (history prepended) may find its slot taken; move on deterministically
+        while (state.taken.has(id)) {
+            n++;
+            id = `ds-turn-${key}-${n}`;
+        }
+        state.taken.add(id);
+
+        if (this.legacyTurnIds.size) {
+            const legacyId = this.legacyTurnIds.get(this.computeMessageFingerprint(el));
+            if (legacyId && legacyId !== id) this.turnIdAliases.set(legacyId, id);
+        }
+
+        this.messageIdMap.set(el, { id, key });
         if (!el.dataset.turnId) el.dataset.turnId = id;
         return id;
     }
@@ -643,6 +947,8 @@ class TimelineManager {
         if (!timelineBar) {
             timelineBar = document.createElement('div');
             timelineBar.className = 'deepseek-timeline-bar';
+            timelineBar.setAttribute('role', 'navigation');
+            timelineBar.setAttribute('aria-label', 'Conversation timeline');
             document.body.appendChild(timelineBar);
         }
         this.ui.timelineBar = timelineBar;
@@ -657,10 +963,23 @@ class TimelineManager {
         if (!trackContent) {
             trackContent = document.createElement('div');
             trackContent.className = 'timeline-track-content';
+            trackContent.setAttribute('role', 'listbox');
+            trackContent.setAttribute('aria-label', 'Turns (arrow keys to move, Enter to jump, S to star, N for a note)');
+            trackContent.setAttribute('aria-orientation', 'vertical');
             track.appendChild(trackContent);
         }
         this.ui.track = track;
         this.ui.trackContent = trackContent;
+        // Handle for moving the bar in the floating placement (hidden otherwise)
+        let grip = this.ui.timelineBar.querySelector('.timeline-drag-grip');
+        if (!grip) {
+            grip = document.createElement('div');
+            grip.className = 'timeline-drag-grip';
+            grip.title = 'Drag to move the timeline';
+            grip.setAttribute('aria-hidden', 'true');
+            this.ui.timelineBar.insertBefore(grip, track);
+        }
+        this.ui.dragGrip = grip;
         // Ensure external left-side slider exists (outside the bar)
         let slider = document.querySelector('.timeline-left-slider');
         if (!slider) {
@@ -673,6 +992,37 @@ class TimelineManager {
         }
         this.ui.slider = slider;
         this.ui.sliderHandle = slider.querySelector('.timeline-left-handle');
+        // Action buttons live outside the bar (its paint containment would clip them)
+        let actions = document.querySelector('.timeline-actions');
+        if (!actions) {
+            actions = document.createElement('div');
+            actions.className = 'timeline-actions';
+            document.body.appendChild(actions);
+        }
+        this.ui.actions = actions;
+        this.ensureActionButton('search', '⌕', 'Search timeline (Alt+F)');
+        this.ensureActionButton('export', '⤓', 'Export conversation');
+        this.ensureActionButton('bookmarks', '★', 'Bookmarks in all conversations');
+        // Shown only in the touch layout, where it folds the bar in and out
+        let handle = document.querySelector('.timeline-edge-handle');
+        if (!handle) {
+            handle = document.createElement('button');
+            handle.type = 'button';
+            handle.className = 'timeline-edge-handle';
+            handle.setAttribute('aria-label', 'Show timeline');
+            handle.setAttribute('aria-expanded', 'false');
+            document.body.appendChild(handle);
+        }
+        this.ui.edgeHandle = handle;
+        if (!this.ui.liveRegion) {
+            const live = document.createElement('div');
+            live.className = 'timeline-live';
+            live.setAttribute('role', 'status');
+            live.setAttribute('aria-live', 'polite');
+            live.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(live);
+            this.ui.liveRegion = live;
+        }
         // Visibility will be controlled by updateSlider() based on scrollable state
         if (!this.ui.tooltip) {
             const tip = document.createElement('div');
@@ -721,13 +1071,14 @@ class TimelineManager {
     }
 
     recalculateAndRenderMarkers() {
-        this.perfStart('recalc');
         if (!this.conversationContainer || !this.ui.timelineBar || !this.scrollContainer) return;
+        this.perfStart('recalc');
 
+        this.perfStart('recalc:annotate');
         this.annotateAllMessages();
-        const userTurnElements = this.conversationContainer.querySelectorAll('[data-turn="user"]');
-        // Reset visible window to avoid cleaning with stale indices after rebuild
-        this.visibleRange = { start: 0, end: -1 };
+        const turnSelector = this.showAssistantMarkers ? '[data-turn="user"], [data-turn="assistant"]' : '[data-turn="user"]';
+        const userTurnElements = this.conversationContainer.querySelectorAll(turnSelector);
+        this.perfEnd('recalc:annotate');
         // If the conversation is transiently empty (branch switching), don't wipe UI immediately
         if (userTurnElements.length === 0) {
             if (!this.zeroTurnsTimer) {
@@ -739,8 +1090,6 @@ class TimelineManager {
             return;
         }
         if (this.zeroTurnsTimer) { try { clearTimeout(this.zeroTurnsTimer); } catch {} this.zeroTurnsTimer = null; }
-        // Clear old dots from track/content (now that we know content exists)
-        (this.ui.trackContent || this.ui.timelineBar).querySelectorAll('.timeline-dot').forEach(n => n.remove());
 
         let contentSpan;
         const firstTurnOffset = userTurnElements[0].offsetTop;
@@ -756,29 +1105,45 @@ class TimelineManager {
         this.firstUserTurnOffset = firstTurnOffset;
         this.contentSpanPx = contentSpan;
 
-        // Build markers with normalized position along conversation
+        // Keyed diff on turn id: surviving turns keep their marker object and dot
+        this.perfStart('recalc:diff');
+        const previous = new Map(this.markerMap);
         this.markerMap.clear();
+        let kept = 0;
         this.markers = Array.from(userTurnElements).map(el => {
-            const offsetFromStart = el.offsetTop - firstTurnOffset;
-            let n = offsetFromStart / contentSpan;
-            n = Math.max(0, Math.min(1, n));
-            const m = {
-                id: el.dataset.turnId,
-                element: el,
-                summary: this.normalizeText(el.textContent || ''),
-                n,
-                baseN: n,
-                dotElement: null,
-                starred: false,
-            };
-            try { m.starred = this.starred.has(m.id); } catch {}
+            const prev = previous.get(el.dataset.turnId);
+            let m;
+            if (prev && !this.markerMap.has(prev.id)) {
+                m = this.updateMarker(prev, el);
+                kept++;
+            } else {
+                m = this.createMarker(el);
+            }
             this.markerMap.set(m.id, m);
             return m;
         });
+        for (const m of previous.values()) {
+            if (this.markerMap.get(m.id) === m || !m.dotElement) continue;
+            try { m.dotElement.remove(); } catch {}
+            m.dotElement = null;
+        }
+        this.dirtyTurns = new WeakSet();
+        // Indices moved: let virtualization trim around the dots that survived
+        this.visibleRange = this.renderedRange();
+        this.captureTurnElements();
+        this.applyTimeAxis();
+        this.perfEnd('recalc:diff', `${kept} kept, ${this.markers.length - kept} added, ${previous.size - kept} removed`);
+        this.updateBranchVariants();
+        this.reconcileOrphanedStars();
+        if (this.minimapMode) this.computeMarkerWeights();
         // Bump version after markers are rebuilt to invalidate concurrent passes
         this.markersVersion++;
+        // Re-evaluate an active search against the rebuilt markers
+        if (this.searchQuery) this.runSearch();
+        this.backfillBookmarkSummaries();
 
         // Compute geometry and virtualize render
+        this.perfStart('recalc:render');
         this.updateTimelineGeometry();
         if (!this.activeTurnId && this.markers.length > 0) {
             this.activeTurnId = this.markers[this.markers.length - 1].id;
@@ -787,17 +1152,201 @@ class TimelineManager {
         this.updateVirtualRangeAndRender();
         // Ensure active class is applied after dots are created
         this.updateActiveDotUI();
+        this.perfEnd('recalc:render');
         this.scheduleScrollSync();
-        this.perfEnd('recalc');
+        if (this.pendingJump) this.consumePendingJump();
+        this.perfEnd('recalc', `${this.markers.length} markers`);
     }
-    
-    setupObservers() {
-        this.mutationObserver = new MutationObserver(() => {
-            try { this.ensureContainersUpToDate(); } catch {}
-            this.debouncedRecalculateAndRender();
-            this.updateIntersectionObserverTargets();
+
+    // Normalized position of a turn's offsetTop, from the cached firstUserTurnOffset/contentSpanPx
+    normalizedOffset(top) {
+        const n = (top - this.firstUserTurnOffset) / this.contentSpanPx;
+        return Math.max(0, Math.min(1, n));
+    }
+
+    createMarker(el) {
+        const top = el.offsetTop;
+        const n = this.normalizedOffset(top);
+        const m = {
+            id: el.dataset.turnId,
+            role: (el.dataset.turn === 'assistant') ? 'assistant' : 'user',
+            element: el,
+            summary: this.normalizeText(el.textContent || ''),
+            top,
+            n,
+            baseN: n,
+            dotElement: null,
+            starred: false,
+        };
+        try { m.starred = this.starred.has(m.id); } catch {}
+        return m;
+    }
+
+    // Refresh a surviving marker; its text is only re-read when the element was replaced or mutated
+    updateMarker(m, el) {
+        m.top = el.offsetTop;
+        m.n = m.baseN = this.normalizedOffset(m.top);
+        if (m.dotElement && !m.dotElement.isConnected) m.dotElement = null;
+        if (m.element !== el || this.dirtyTurns.has(el)) {
+            m.element = el;
+            m.summary = this.normalizeText(el.textContent || '');
+            try { m.dotElement?.setAttribute('aria-label', this.dotAriaLabel(m)); } catch {}
+        }
+        const role = (el.dataset.turn === 'assistant') ? 'assistant' : 'user';
+        if (m.role !== role) {
+            m.role = role;
+            try { m.dotElement?.classList.toggle('assistant', role === 'assistant'); } catch {}
+        }
+        try { m.starred = this.starred.has(m.id); } catch {}
+        return m;
+    }
+
+    // Index span of markers that still own a dot after a diff
+    renderedRange() {
+        let start = -1;
+        let end = -1;
+        this.markers.forEach((m, i) => {
+            if (!m.dotElement) return;
+            if (start < 0) start = i;
+            end = i;
         });
-        this.mutationObserver.observe(this.conversationContainer, { childList: true, subtree: true });
+        return (start < 0) ? { start: 0, end: -1 } : { start, end };
+    }
+
+    captureTurnElements() {
+        this.turnElements = this.conversationContainer
+            ? Array.from(this.conversationContainer.querySelectorAll('[data-turn][data-turn-id]'))
+            : [];
+        const tail = this.turnElements[this.turnElements.length - 1];
+        this.tailTextLength = tail ? (tail.textContent || '').length : 0;
+    }
+
+    // A streaming reply only mutates the last turn; anything else may have changed the structure
+    onConversationMutations(mutations) {
+        const tail = this.turnElements[this.turnElements.length - 1];
+        if (tail && tail.isConnected && mutations.every(r => tail.contains(r.target))) {
+            this.dirtyTurns.add(tail);
+            this.scheduleTailUpdate();
+            return;
+        }
+        for (const r of mutations) {
+            const node = (r.target.nodeType === 1) ? r.target : r.target.parentElement;
+            const turn = node?.closest?.('[data-turn-id]');
+            if (turn) this.dirtyTurns.add(turn);
+        }
+        try { this.ensureContainersUpToDate(); } catch {}
+        if (!this.appendNewTurns()) this.debouncedRecalculateAndRender();
+        this.updateIntersectionObserverTargets();
+    }
+
+    // Turns added after the known tail (a prompt sent, a reply started) extend the markers in
+    // place and grow the track. Returns false when anything else changed and a rebuild is needed.
+    appendNewTurns() {
+        const known = this.turnElements;
+        if (!known.length || !this.markers.length || !this.conversationContainer) return false;
+        const all = this.conversationContainer.querySelectorAll('[data-turn][data-turn-id]');
+        if (all.length <= known.length) return false;
+        if (all[0] !== known[0] || all[known.length - 1] !== known[known.length - 1]) return false;
+        if (!this.markers.every(m => m.element.isConnected)) return false;
+        this.perfStart('append');
+        const added = Array.from(all).slice(known.length);
+        const fresh = added.filter(el => this.showAssistantMarkers || el.dataset.turn === 'user');
+        if (fresh.length) {
+            const elements = this.markers.map(m => m.element).concat(fresh);
+            this.firstUserTurnOffset = elements[0].offsetTop;
+            this.contentSpanPx = Math.max(1, elements[elements.length - 1].offsetTop - this.firstUserTurnOffset);
+            for (const m of this.markers) {
+                m.top = m.element.offsetTop;
+                m.n = m.baseN = this.normalizedOffset(m.top);
+            }
+            for (const el of fresh) {
+                const m = this.createMarker(el);
+                this.markers.push(m);
+                this.markerMap.set(m.id, m);
+            }
+            this.applyTimeAxis();
+            this.updateBranchVariants();
+        }
+        this.captureTurnElements();
+        if (this.minimapMode) this.computeMarkerWeights();
+        this.markersVersion++;
+        if (this.searchQuery) this.runSearch();
+        this.updateTimelineGeometry();
+        this.syncTimelineTrackToMain();
+        this.updateVirtualRangeAndRender();
+        this.updateActiveDotUI();
+        this.scheduleScrollSync();
+        // The newest turn is usually a reply that is about to stream
+        this.scheduleTailUpdate();
+        this.perfEnd('append');
+        return true;
+    }
+
+    scheduleTailUpdate() {
+        if (this.tailUpdateTimer) return;
+        this.tailUpdateTimer = setTimeout(() => {
+            this.tailUpdateTimer = null;
+            this.updateTailMarker();
+        }, this.tailUpdateInterval);
+    }
+
+    // Refresh what the growing last turn feeds: its summary, minimap weight and the generating pulse
+    updateTailMarker() {
+        const tail = this.turnElements[this.turnElements.length - 1];
+        if (!tail || !tail.isConnected) {
+            this.debouncedRecalculateAndRender();
+            return;
+        }
+        const length = (tail.textContent || '').length;
+        const grew = length !== this.tailTextLength;
+        this.tailTextLength = length;
+        if (!grew && !this.isSiteGenerating()) return;
+        // With assistant markers off, a streaming reply belongs to the last user marker
+        const marker = this.markerMap.get(tail.dataset.turnId) || this.markers[this.markers.length - 1];
+        if (!marker) return;
+        if (marker.element === tail) {
+            marker.summary = this.normalizeText(tail.textContent || '');
+            try { marker.dotElement?.setAttribute('aria-label', this.dotAriaLabel(marker)); } catch {}
+        }
+        if (this.minimapMode) this.updateTailWeight(marker);
+        this.setGenerating(true, marker.id);
+        const dot = marker.dotElement;
+        try { if (dot && dot.matches(':hover, :focus')) this.refreshTooltipForDot(dot); } catch {}
+        if (this.generationIdleTimer) clearTimeout(this.generationIdleTimer);
+        this.generationIdleTimer = setTimeout(() => this.finishGenerationIfIdle(), this.generationIdleDelay);
+    }
+
+    isSiteGenerating() {
+        try { return !!this.site.isGenerating?.(document); } catch { return false; }
+    }
+
+    finishGenerationIfIdle() {
+        this.generationIdleTimer = null;
+        if (this.isSiteGenerating()) {
+            this.generationIdleTimer = setTimeout(() => this.finishGenerationIfIdle(), this.generationIdleDelay);
+            return;
+        }
+        this.setGenerating(false);
+        // One full pass settles what the tail path skips (branch variants, search, bookmark snapshots)
+        this.recalculateAndRenderMarkers();
+    }
+
+    setGenerating(on, turnId = null) {
+        const prev = this.generatingTurnId;
+        this.generating = !!on;
+        this.generatingTurnId = on ? turnId : null;
+        if (prev && prev !== this.generatingTurnId) {
+            try { this.markerMap.get(prev)?.dotElement?.classList.remove('generating'); } catch {}
+        }
+        if (this.generatingTurnId) {
+            try { this.markerMap.get(this.generatingTurnId)?.dotElement?.classList.add('generating'); } catch {}
+        }
+        try { this.ui.timelineBar?.classList.toggle('generating', this.generating); } catch {}
+    }
+
+    setupObservers() {
+        this.mutationObserver = new MutationObserver((mutations) => this.onConversationMutations(mutations));
+        this.mutationObserver.observe(this.conversationContainer, { childList: true, subtree: true, characterData: true });
         // Resize: update long-canvas geometry and virtualization
         this.resizeObserver = new ResizeObserver(() => {
             this.updateTimelineGeometry();
@@ -833,7 +1382,7 @@ class TimelineManager {
     // Ensure our conversation/scroll containers are still current after DOM replacements
     ensureContainersUpToDate() {
         if (!this.scrollContainer) return;
-        const newConv = this.resolveConversationContainer(this.scrollContainer);
+        const newConv = this.findConversationRoot(this.scrollContainer);
         if (newConv && newConv !== this.conversationContainer) {
             // Rebind observers and listeners to the new conversation root
             this.rebindConversationContainer(newConv);
@@ -881,7 +1430,7 @@ class TimelineManager {
         this.updateIntersectionObserverTargets();
 
         // Re-observe mutations on the new conversation container
-        this.mutationObserver.observe(this.conversationContainer, { childList: true, subtree: true });
+        this.mutationObserver.observe(this.conversationContainer, { childList: true, subtree: true, characterData: true });
 
         // Force a recalc right away to rebuild markers
         this.recalculateAndRenderMarkers();
@@ -907,7 +1456,7 @@ class TimelineManager {
                 }
                 const targetId = dot.dataset.targetTurnId;
                 const marker = targetId ? this.markerMap.get(targetId) : null;
-                const targetElement = marker?.element || this.conversationContainer.querySelector(`[data-turn-id="${targetId}"]`);
+                const targetElement = marker?.element || this.conversationContainer.querySelector(`[data-turn-id="${CSS.escape(targetId)}"]`);
                 if (targetElement) {
                     // Only scroll; let scroll-based computation set active to avoid double-flash
                     this.smoothScrollTo(targetElement);
@@ -921,6 +1470,7 @@ class TimelineManager {
             if (!dot) return;
             if (typeof ev.button === 'number' && ev.button !== 0) return; // left button only
             this.cancelLongPress();
+            this.cancelPreview();
             this.pressTargetDot = dot;
             this.pressStartPos = { x: ev.clientX, y: ev.clientY };
             try { dot.classList.add('holding'); } catch {}
@@ -958,6 +1508,17 @@ class TimelineManager {
             window.addEventListener('pointercancel', this.onPointerCancel, { passive: true });
             this.ui.timelineBar.addEventListener('pointerleave', this.onPointerLeave);
         } catch {}
+        // Right-click a dot to edit its bookmark (label, category) and its note
+        this.onTimelineContextMenu = (ev) => {
+            const dot = ev.target.closest?.('.timeline-dot');
+            if (!dot) return;
+            try { ev.preventDefault(); } catch {}
+            // Touch browsers raise contextmenu for the same hold that stars the dot
+            if (this.touchLayout && (this.pressTargetDot || this.longPressTriggered)) return;
+            this.cancelLongPress();
+            this.openBookmarkEditor(dot.dataset.targetTurnId, dot);
+        };
+        this.ui.timelineBar.addEventListener('contextmenu', this.onTimelineContextMenu);
         // Listen to container scroll to keep marker active state in sync
         this.onScroll = () => this.scheduleScrollSync();
         this.scrollContainer.addEventListener('scroll', this.onScroll, { passive: true });
@@ -965,25 +1526,52 @@ class TimelineManager {
         // Tooltip interactions (delegated)
         this.onTimelineBarOver = (e) => {
             const dot = e.target.closest('.timeline-dot');
-            if (dot) this.showTooltipForDot(dot);
+            if (!dot || this.scrub?.moved) return;
+            this.showTooltipForDot(dot);
+            this.schedulePreview(dot, e.shiftKey);
         };
         this.onTimelineBarOut = (e) => {
             const fromDot = e.target.closest('.timeline-dot');
             const toDot = e.relatedTarget?.closest?.('.timeline-dot');
-            if (fromDot && !toDot) this.hideTooltip();
+            // While scrubbing the tooltip follows the nearest dot, not the pointer's hover
+            if (fromDot && !toDot && !this.scrub?.moved) {
+                this.hideTooltip();
+                this.cancelPreview();
+            }
         };
         this.onTimelineBarFocusIn = (e) => {
             const dot = e.target.closest('.timeline-dot');
-            if (dot) this.showTooltipForDot(dot);
+            if (!dot) return;
+            this.focusTurnId = dot.dataset.targetTurnId || null;
+            this.setRevealState({ revealed: true, lineOpen: true });
+            this.showTooltipForDot(dot);
+            this.schedulePreview(dot);
         };
         this.onTimelineBarFocusOut = (e) => {
             const dot = e.target.closest('.timeline-dot');
-            if (dot) this.hideTooltip();
+            if (!dot) return;
+            this.setRevealState(this.lastPointerReveal || { revealed: false, lineOpen: false });
+            this.hideTooltip();
+            this.cancelPreview();
+            // Leaving the list: the tab stop goes back to the active turn
+            if (!e.relatedTarget?.closest?.('.timeline-dot')) {
+                this.focusTurnId = null;
+                this.updateRovingTabindex();
+            }
         };
+        this.onDotKeyDown = (e) => this.handleDotKey(e);
+        this.ui.trackContent?.addEventListener('keydown', this.onDotKeyDown);
         this.ui.timelineBar.addEventListener('mouseover', this.onTimelineBarOver);
         this.ui.timelineBar.addEventListener('mouseout', this.onTimelineBarOut);
         this.ui.timelineBar.addEventListener('focusin', this.onTimelineBarFocusIn);
         this.ui.timelineBar.addEventListener('focusout', this.onTimelineBarFocusOut);
+        // Shift opens the preview for the hovered/focused dot right away; Escape closes it
+        this.onPreviewKeyDown = (e) => {
+            if (!this.previewDot) return;
+            if (e.key === 'Shift' && !e.repeat) this.showPreviewCard(this.previewDot);
+            else if (e.key === 'Escape') this.hidePreviewCard();
+        };
+        window.addEventListener('keydown', this.onPreviewKeyDown);
 
         // Slider visibility on hover (time axis or slider itself) with stable refs
         // Define and persist handlers so we can remove them in destroy()
@@ -1008,11 +1596,7 @@ class TimelineManager {
                     // Re-run T0->T1 to avoid layout during animation
                     const tip = this.ui.tooltip;
                     tip.classList.remove('visible');
-                    let fullText = (activeDot.getAttribute('aria-label') || '').trim();
-                    try {
-                        const id = activeDot.dataset.targetTurnId;
-                        if (id && this.starred.has(id)) fullText = `★ ${fullText}`;
-                    } catch {}
+                    const fullText = this.getTooltipText(activeDot);
                     const p = this.computePlacementInfo(activeDot);
                     const layout = this.truncateToThreeLines(fullText, p.width, true);
                     tip.textContent = layout.text;
@@ -1028,6 +1612,8 @@ class TimelineManager {
                 }
             }
             // Update long-canvas geometry and virtualization
+            this.updateTouchLayout({ relayout: false });
+            if (this.ui.timelineBar.classList.contains('floating')) this.applyFloatingPosition();
             this.updateTimelineGeometry();
             this.syncTimelineTrackToMain();
             this.updateVirtualRangeAndRender();
@@ -1036,13 +1622,33 @@ class TimelineManager {
         // VisualViewport resize can fire on zoom on some platforms; schedule correction
         if (window.visualViewport) {
             this.onVisualViewportResize = () => {
+                this.updateViewportInsets();
                 this.updateTimelineGeometry();
                 this.syncTimelineTrackToMain();
                 this.updateVirtualRangeAndRender();
             };
+            // Pinch-zoomed or keyboard-shifted viewports move without resizing
+            this.onVisualViewportScroll = () => this.updateViewportInsets();
             try { window.visualViewport.addEventListener('resize', this.onVisualViewportResize); } catch {}
+            try { window.visualViewport.addEventListener('scroll', this.onVisualViewportScroll); } catch {}
         }
 
+        // Touch layout: edge handle folds the bar; a tap elsewhere folds it back
+        this.onEdgeHandleClick = () => this.setTouchExpanded(!this.touchExpanded);
+        try { this.ui.edgeHandle?.addEventListener('click', this.onEdgeHandleClick); } catch {}
+        this.onTouchOutsideDown = (e) => {
+            if (!this.touchLayout || !this.touchExpanded) return;
+            const keep = '.deepseek-timeline-bar, .timeline-edge-handle, .timeline-actions, .timeline-left-slider, .timeline-popover, .timeline-tooltip, .timeline-preview';
+            if (e.target?.closest?.(keep)) return;
+            this.setTouchExpanded(false);
+        };
+        document.addEventListener('pointerdown', this.onTouchOutsideDown, true);
+        // Dragging along the bar scrubs through turns; a still press keeps click and long press
+        this.onScrubDown = (e) => this.beginScrub(e);
+        this.ui.timelineBar.addEventListener('pointerdown', this.onScrubDown);
+        this.onGripDown = (e) => this.beginGripDrag(e);
+        this.ui.dragGrip?.addEventListener('pointerdown', this.onGripDown);
+
         // Scroll wheel on the timeline controls the main scroll container (Linked mode)
         this.onTimelineWheel = (e) => {
             // Prevent page from attempting to scroll anything else
@@ -1071,43 +1677,44 @@ class TimelineManager {
         };
         try { this.ui.sliderHandle?.addEventListener('pointerdown', this.onSliderDown); } catch {}
 
-        // Cross-tab star sync via localStorage 'storage' event
-        this.onStorage = (e) => {
+        // Action buttons (delegated)
+        this.onActionsClick = (e) => {
+            const btn = e.target.closest?.('.timeline-action');
+            if (btn) this.handleAction(btn.dataset.action, btn);
+        };
+        try { this.ui.actions?.addEventListener('click', this.onActionsClick); } catch {}
+
+        // Cross-tab/device star sync via storage change notifications
+        this.onStorage = (key, newValue) => {
             try {
-                if (!e || e.storageArea !== localStorage) return;
+                if (key && key.startsWith('deepseekTimelineStars:') && this.ui.bookmarksPanel?.classList.contains('visible')) {
+                    this.renderBookmarksPanel();
+                }
                 const cid = this.conversationId;
                 if (!cid) return;
-                const expectedKey = `deepseekTimelineStars:${cid}`;
-                if (e.key !== expectedKey) return;
-
-                // Parse new star set
-                let nextArr = [];
-                try { nextArr = JSON.parse(e.newValue || '[]') || []; } catch { nextArr = []; }
-                const nextSet = new Set(nextArr.map(x => String(x)));
-
-                // Fast no-op check: if sizes match and all entries exist, skip
-                if (nextSet.size === this.starred.size) {
-                    let same = true;
-                    for (const id of this.starred) { if (!nextSet.has(id)) { same = false; break; } }
-                    if (same) return;
+                if (key === `deepseekTimelineNotes:${cid}`) {
+                    this.notes = this.parseNotes(newValue);
+                    this.markers.forEach(m => this.applyStarStateToDot(m));
+                    return;
                 }
+                const expectedKey = `deepseekTimelineStars:${cid}`;
+                if (key !== expectedKey) return;
 
-                // Apply to in-memory set
-                this.starred = nextSet;
+                // Parse new bookmark map (either schema)
+                const next = this.parseBookmarks(newValue) || new Map();
+
+                // Fast no-op check: identical serialized content means nothing changed
+                if (this.serializeBookmarks(next) === this.serializeBookmarks(this.starred)) return;
+
+                // Apply to in-memory map
+                this.starred = next;
 
                 // Update markers and any visible dots
                 for (let i = 0; i < this.markers.length; i++) {
                     const m = this.markers[i];
-                    const want = this.starred.has(m.id);
-                    if (m.starred !== want) {
-                        m.starred = want;
-                        if (m.dotElement) {
-                            try {
-                                m.dotElement.classList.toggle('starred', m.starred);
-                                m.dotElement.setAttribute('aria-pressed', m.starred ? 'true' : 'false');
-                            } catch {}
-                        }
-                    }
+                    m.starred = this.starred.has(m.id);
+                    this.applyStarStateToDot(m);
+                    this.applyBranchStateToDot(m);
                 }
 
                 // If a tooltip is currently visible over any dot, refresh it to reflect ★
@@ -1119,16 +1726,31 @@ class TimelineManager {
                 } catch {}
             } catch {}
         };
-        try { window.addEventListener('storage', this.onStorage); } catch {}
+        this.unsubscribeStorage = this.store.onChange(this.onStorage);
+
+        // Settings edited on the options page apply without a reload
+        this.unsubscribeSettings = this.settings.onChange((values) => this.applySettings(values));
+
+        // Global keyboard shortcuts (Alt+↑/↓, Alt+Shift+↑/↓, Alt+S, Alt+B, Alt+N); capture phase so
+        // the page's own handlers cannot swallow them first
+        this.onKeyDown = (e) => this.handleShortcutKey(e);
+        try { window.addEventListener('keydown', this.onKeyDown, true); } catch {}
     }
     
-    smoothScrollTo(targetElement, duration = 600) {
+    smoothScrollTo(targetElement, duration = this.scrollDuration) {
         const containerRect = this.scrollContainer.getBoundingClientRect();
         const targetRect = targetElement.getBoundingClientRect();
         const targetPosition = targetRect.top - containerRect.top + this.scrollContainer.scrollTop;
+        // No animation (scroll duration 0): easing would divide by zero
+        if (!(duration > 0)) {
+            this.scrollContainer.scrollTop = targetPosition;
+            return Promise.resolve();
+        }
         const startPosition = this.scrollContainer.scrollTop;
         const distance = targetPosition - startPosition;
         let startTime = null;
+        let done;
+        const finished = new Promise(resolve => { done = resolve; });
 
         const animation = (currentTime) => {
             this.isScrolling = true;
@@ -1141,9 +1763,12 @@ class TimelineManager {
             } else {
                 this.scrollContainer.scrollTop = targetPosition;
                 this.isScrolling = false;
+                done();
             }
         };
         requestAnimationFrame(animation);
+        // Resolves once the animation has landed
+        return finished;
     }
     
     easeInOutQuad(t, b, c, d) {
@@ -1155,8 +1780,112 @@ class TimelineManager {
 
     updateActiveDotUI() {
         this.markers.forEach(marker => {
-            marker.dotElement?.classList.toggle('active', marker.id === this.activeTurnId);
+            const dot = marker.dotElement;
+            if (!dot) return;
+            dot.classList.toggle('active', marker.id === this.activeTurnId);
+            dot.setAttribute('aria-selected', marker.id === this.activeTurnId ? 'true' : 'false');
         });
+        this.updateRovingTabindex();
+        this.scheduleActiveAnnouncement();
+    }
+
+    // --- Screen reader support ---
+    // Name of a dot: its text plus the states sighted users see as color and marks
+    dotAriaLabel(marker) {
+        const states = [];
+        if (marker.starred) states.push('starred');
+        if (this.notes.has(marker.id)) states.push('has note');
+        const text = (marker.role === 'assistant') ? `Reply: ${marker.summary}` : marker.summary;
+        return [text, ...states].join(', ');
+    }
+
+    // One tab stop for the whole list: the focused dot, else the active one, else the first rendered
+    updateRovingTabindex() {
+        const { start, end } = this.visibleRange;
+        const preferred = this.markerMap.get(this.focusTurnId) || this.markerMap.get(this.activeTurnId);
+        let stop = preferred?.dotElement || null;
+        for (let i = Math.max(0, start); i <= end && i < this.markers.length; i++) {
+            const dot = this.markers[i].dotElement;
+            if (!dot) continue;
+            if (!stop) stop = dot;
+            dot.setAttribute('tabindex', dot === stop ? '0' : '-1');
+        }
+    }
+
+    // "Turn 12 of 40, starred" once the active turn has settled
+    scheduleActiveAnnouncement() {
+        if (!this.ui.liveRegion || this.activeTurnId === this.announcedTurnId) return;
+        // The turn a conversation opens on is a baseline, not news
+        if (this.announcedTurnId === null) { this.announcedTurnId = this.activeTurnId; return; }
+        if (this.announceTimer) clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            const index = this.markers.findIndex(m => m.id === this.activeTurnId);
+            if (index < 0 || this.activeTurnId === this.announcedTurnId) return;
+            this.announcedTurnId = this.activeTurnId;
+            this.announce(this.describeTurnPosition(index));
+        }, this.announceDelay);
+    }
+
+    describeTurnPosition(index) {
+        const m = this.markers[index];
+        const parts = [this.turnPositionLabel(m)];
+        if (m.starred) parts.push('starred');
+        if (this.notes.has(m.id)) parts.push('has note');
+        return parts.join(', ');
+    }
+
+    announce(text) {
+        const live = this.ui.liveRegion;
+        if (!live) return;
+        // Re-set even when unchanged so the same message is read again
+        live.textContent = '';
+        live.textContent = text;
+    }
+
+    // Move keyboard focus to marker `index`, rendering its dot first if virtualization dropped it
+    focusMarkerAt(index) {
+        const m = this.markers[Math.max(0, Math.min(index, this.markers.length - 1))];
+        if (!m) return;
+        if (!m.dotElement && this.ui.track) {
+            const i = this.markers.indexOf(m);
+            const vh = this.ui.track.clientHeight || 0;
+            const max = Math.max(0, this.contentHeight - vh);
+            this.ui.track.scrollTop = Math.max(0, Math.min(max, Math.round((this.yPositions[i] || 0) - vh / 2)));
+            this.updateVirtualRangeAndRender();
+        }
+        if (!m.dotElement) return;
+        this.focusTurnId = m.id;
+        this.updateRovingTabindex();
+        try { m.dotElement.focus({ preventScroll: true }); } catch {}
+    }
+
+    // Listbox keys on a focused dot; Enter/Space stay native button clicks (jump)
+    handleDotKey(e) {
+        const dot = e.target.closest?.('.timeline-dot');
+        if (!dot || e.altKey || e.ctrlKey || e.metaKey || e.isComposing) return;
+        const index = this.markers.findIndex(m => m.id === dot.dataset.targetTurnId);
+        if (index < 0) return;
+        const marker = this.markers[index];
+        const page = 10;
+        let handled = true;
+        if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') this.focusMarkerAt(index - 1);
+        else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') this.focusMarkerAt(index + 1);
+        else if (e.key === 'PageUp') this.focusMarkerAt(index - page);
+        else if (e.key === 'PageDown') this.focusMarkerAt(index + page);
+        else if (e.key === 'Home') this.focusMarkerAt(0);
+        else if (e.key === 'End') this.focusMarkerAt(this.markers.length - 1);
+        else if (e.code === 'KeyS' && !e.shiftKey) {
+            // Keyboard equivalent of the long press
+            this.toggleStar(marker.id);
+            this.announce(marker.starred ? 'Starred' : 'Star removed');
+            try { this.refreshTooltipForDot(marker.dotElement); } catch {}
+        } else if (e.code === 'KeyN' && !e.shiftKey) {
+            this.openBookmarkEditor(marker.id, dot, { focus: 'note' });
+        } else handled = false;
+        if (handled) {
+            try { e.preventDefault(); e.stopPropagation(); } catch {}
+        }
     }
 
     debounce(func, delay) {
@@ -1193,7 +1922,8 @@ class TimelineManager {
 
     getMinGap() {
         if (!this.ui.timelineBar) return 12;
-        return this.getCSSVarNumber(this.ui.timelineBar, '--timeline-min-gap', 12);
+        const gap = this.getCSSVarNumber(this.ui.timelineBar, '--timeline-min-gap', 12);
+        return this.touchLayout ? Math.max(gap, this.touchMinGap) : gap;
     }
 
     // Enforce a minimum pixel gap between positions while staying within bounds
@@ -1287,13 +2017,7 @@ class TimelineManager {
         // T0: compute + write geometry while hidden
         const tip = this.ui.tooltip;
         tip.classList.remove('visible');
-        let fullText = (dot.getAttribute('aria-label') || '').trim();
-        try {
-            const id = dot.dataset.targetTurnId;
-            if (id && this.starred.has(id)) {
-                fullText = `★ ${fullText}`;
-            }
-        } catch {}
+        const fullText = this.getTooltipText(dot);
         const p = this.computePlacementInfo(dot);
         const layout = this.truncateToThreeLines(fullText, p.width, true);
         tip.textContent = layout.text;
@@ -1322,9 +2046,9 @@ class TimelineManager {
         this.tooltipHideTimer = setTimeout(doHide, this.tooltipHideDelay);
     }
 
-    placeTooltipAt(dot, placement, width, height) {
-        if (!this.ui.tooltip) return;
-        const tip = this.ui.tooltip;
+    // Also places the preview card when `tip` is given
+    placeTooltipAt(dot, placement, width, height, tip = this.ui.tooltip) {
+        if (!tip) return;
         const dotRect = dot.getBoundingClientRect();
         const vw = window.innerWidth;
         const vh = window.innerHeight;
@@ -1346,6 +2070,7 @@ class TimelineManager {
                 } else {
                     // shrink width to fit
                     const fitWidth = Math.max(120, vw - viewportPad - altLeft);
+                    placement = 'right';
                     left = altLeft;
                     width = fitWidth;
                 }
@@ -1381,17 +2106,193 @@ class TimelineManager {
         const isVisible = tip.classList.contains('visible');
         if (!isVisible) return;
 
-        let fullText = (dot.getAttribute('aria-label') || '').trim();
-        try {
-            const id = dot.dataset.targetTurnId;
-            if (id && this.starred.has(id)) fullText = `★ ${fullText}`;
-        } catch {}
+        const fullText = this.getTooltipText(dot);
         const p = this.computePlacementInfo(dot);
         const layout = this.truncateToThreeLines(fullText, p.width, true);
         tip.textContent = layout.text;
         this.placeTooltipAt(dot, p.placement, p.width, layout.height);
     }
 
+    // --- Preview card ---
+    schedulePreview(dot, immediate = false) {
+        if (!this.richPreview || !dot) return;
+        if (this.previewTimer) { clearTimeout(this.previewTimer); this.previewTimer = null; }
+        this.previewDot = dot;
+        // Once a card is open, moving along the dots swaps it without waiting again
+        if (immediate || this.ui.previewCard?.classList.contains('visible')) {
+            this.showPreviewCard(dot);
+            return;
+        }
+        this.previewTimer = setTimeout(() => {
+            this.previewTimer = null;
+            if (this.previewDot === dot) this.showPreviewCard(dot);
+        }, this.previewDelay);
+    }
+
+    cancelPreview() {
+        if (this.previewTimer) { try { clearTimeout(this.previewTimer); } catch {} this.previewTimer = null; }
+        this.previewDot = null;
+        this.hidePreviewCard();
+    }
+
+    ensurePreviewCard() {
+        if (this.ui.previewCard) return this.ui.previewCard;
+        const card = document.createElement('div');
+        card.className = 'timeline-preview';
+        card.setAttribute('role', 'tooltip');
+        card.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(card);
+        this.ui.previewCard = card;
+        return card;
+    }
+
+    showPreviewCard(dot) {
+        const marker = this.markerMap.get(dot?.dataset?.targetTurnId);
+        if (!this.richPreview || !marker || !dot.isConnected) return;
+        const card = this.ensurePreviewCard();
+        this.fillPreviewCard(card, marker);
+        this.hideTooltip(true);
+        const p = this.computePlacementInfo(dot);
+        const width = Math.max(p.width, this.getCSSVarNumber(card, '--timeline-preview-width', 360));
+        card.style.width = `${width}px`;
+        card.style.height = 'auto';
+        const maxHeight = Math.max(120, window.innerHeight - 16);
+        const height = Math.min(maxHeight, card.scrollHeight || card.offsetHeight || 0);
+        this.placeTooltipAt(dot, p.placement, width, height, card);
+        card.setAttribute('aria-hidden', 'false');
+        card.classList.add('visible');
+    }
+
+    hidePreviewCard() {
+        const card = this.ui.previewCard;
+        if (!card) return;
+        card.classList.remove('visible');
+        card.setAttribute('aria-hidden', 'true');
+    }
+
+    // Meta line, bookmark, the prompt and the first blocks of the reply (code kept as code)
+    fillPreviewCard(card, marker) {
+        card.textContent = '';
+        const line = (className, text) => {
+            const div = document.createElement('div');
+            div.className = className;
+            div.textContent = text;
+            card.appendChild(div);
+            return div;
+        };
+        const { prompt, replies } = this.previewParts(marker);
+        const meta = [this.turnPositionLabel(marker)];
+        const time = this.readTurnTime(marker.element) ?? (prompt ? this.readTurnTime(prompt) : null);
+        if (time != null) meta.push(this.formatTurnTime(time));
+        const info = this.branchInfo.get(marker.id);
+        if (info && info.count > 1) meta.push(`⑂ ${info.index}/${info.count}`);
+        line('timeline-preview-meta', meta.join(' · '));
+        const bookmark = this.starred.get(marker.id);
+        if (bookmark?.label) line('timeline-preview-bookmark', `★ ${bookmark.label}`);
+        const note = this.notes.get(marker.id);
+        if (note) {
+            line('timeline-preview-heading', 'Note');
+            const body = document.createElement('div');
+            body.className = 'timeline-preview-note';
+            body.appendChild(this.renderNoteMarkdown(note.text));
+            card.appendChild(body);
+        }
+        if (prompt) {
+            const text = this.readTurnText(prompt);
+            line('timeline-preview-heading', `Prompt · ${this.formatWordCount(text)}`);
+            line('timeline-preview-text', text);
+        }
+        if (replies.length) {
+            const text = replies.map(el => this.readTurnText(el)).join(' ');
+            line('timeline-preview-heading', `Reply · ${this.formatWordCount(text)}`);
+            const { blocks, more } = this.collectPreviewBlocks(replies);
+            for (const block of blocks) {
+                if (block.kind === 'code') {
+                    const pre = document.createElement('pre');
+                    pre.className = 'timeline-preview-code';
+                    pre.textContent = block.text;
+                    card.appendChild(pre);
+                } else {
+                    line('timeline-preview-text', block.text);
+                }
+            }
+            if (more) line('timeline-preview-more', '…');
+        }
+    }
+
+    // The prompt element and the reply elements a marker stands for (either role)
+    previewParts(marker) {
+        const els = this.turnElements;
+        const at = els.indexOf(marker.element);
+        if (marker.role === 'assistant') {
+            let prompt = null;
+            for (let i = at - 1; i >= 0; i--) {
+                if (els[i].dataset.turn === 'user') { prompt = els[i]; break; }
+            }
+            return { prompt, replies: [marker.element] };
+        }
+        const replies = [];
+        for (let i = at + 1; at >= 0 && i < els.length && els[i].dataset.turn !== 'user'; i++) replies.push(els[i]);
+        return { prompt: marker.element, replies };
+    }
+
+    // First few paragraphs / list items / table rows / code blocks, within a character budget
+    collectPreviewBlocks(roots, maxBlocks = 4, maxChars = 480) {
+        const blocks = [];
+        let chars = 0;
+        let more = false;
+        const add = (kind, text) => {
+            if (!text) return;
+            if (blocks.length >= maxBlocks || chars >= maxChars) { more = true; return; }
+            const room = Math.max(40, maxChars - chars);
+            if (text.length > room) {
+                text = `${text.slice(0, room).trimEnd()}…`;
+                more = true;
+            }
+            blocks.push({ kind, text });
+            chars += text.length;
+        };
+        const visit = (node) => {
+            if (more) return;
+            const tag = node.tagName;
+            if (/^(BUTTON|SVG|STYLE|SCRIPT|TIME)$/i.test(tag) || node.getAttribute('aria-hidden') === 'true') return;
+            if (tag === 'PRE') {
+                const lines = (node.textContent || '').replace(/\n+$/, '').split('\n');
+                add('code', lines.slice(0, 6).join('\n') + (lines.length > 6 ? '\n…' : ''));
+                return;
+            }
+            if (tag === 'TR') {
+                add('text', Array.from(node.children).map(cell => this.normalizeText(cell.textContent || '')).join(' | '));
+                return;
+            }
+            if (/^(P|LI|H[1-6]|BLOCKQUOTE|DT|DD)$/.test(tag)) {
+                add('text', this.readTurnText(node));
+                return;
+            }
+            for (const child of node.children) visit(child);
+        };
+        for (const root of roots) visit(root);
+        // Plain-text replies without block markup
+        if (!blocks.length && !more) {
+            for (const root of roots) add('text', this.readTurnText(root));
+        }
+        return { blocks, more };
+    }
+
+    // Latin words (dotted identifiers count once) plus CJK characters, each of which reads as a word
+    countWords(text) {
+        const cjk = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g;
+        const str = String(text || '');
+        const cjkCount = (str.match(cjk) || []).length;
+        const words = str.replace(cjk, ' ').match(/[\p{L}\p{N}]+(?:['’._-][\p{L}\p{N}]+)*/gu) || [];
+        return cjkCount + words.length;
+    }
+
+    formatWordCount(text) {
+        const n = this.countWords(text);
+        return `${n} ${n === 1 ? 'word' : 'words'}`;
+    }
+
     // --- Long-canvas geometry and virtualization (Linked mode) ---
     updateTimelineGeometry() {
         if (!this.ui.timelineBar || !this.ui.trackContent) return;
@@ -1423,7 +2324,9 @@ class TimelineManager {
             this._cssVarTopSupported = this.detectCssVarTopSupport(pad, usableC);
             this.usePixelTop = !this._cssVarTopSupported;
         }
+        this.renderTimeSeparators();
         this.updateSlider();
+        this.positionFloatingControls();
         // First-time nudge: if content is scrollable, briefly reveal slider
         const barH = this.ui.timelineBar?.clientHeight || 0;
         if (this.contentHeight > barH + 1) {
@@ -1461,15 +2364,36 @@ class TimelineManager {
         if (!this.ui.track || !this.scrollContainer || !this.contentHeight) return;
         const scrollTop = this.scrollContainer.scrollTop;
         const ref = scrollTop + this.scrollContainer.clientHeight * 0.45;
-        const span = Math.max(1, this.contentSpanPx || 1);
-        const r = Math.max(0, Math.min(1, (ref - (this.firstUserTurnOffset || 0)) / span));
         const maxScroll = Math.max(0, this.contentHeight - (this.ui.track.clientHeight || 0));
-        const target = Math.round(r * maxScroll);
+        let target;
+        if (this.timeAxisActive) {
+            // The track is not proportional to the page here, so follow the turns themselves
+            const y = this.trackYForScrollOffset(ref) - (this.ui.track.clientHeight || 0) * 0.45;
+            target = Math.round(Math.max(0, Math.min(maxScroll, y)));
+        } else {
+            const span = Math.max(1, this.contentSpanPx || 1);
+            const r = Math.max(0, Math.min(1, (ref - (this.firstUserTurnOffset || 0)) / span));
+            target = Math.round(r * maxScroll);
+        }
         if (Math.abs((this.ui.track.scrollTop || 0) - target) > 1) {
             this.ui.track.scrollTop = target;
         }
     }
 
+    // Track y matching a page offset, interpolated between the turns around it
+    trackYForScrollOffset(ref) {
+        const markers = this.markers;
+        if (!markers.length) return 0;
+        let i = 0;
+        while (i + 1 < markers.length && (markers[i + 1].top || 0) <= ref) i++;
+        const y0 = this.yPositions[i] || 0;
+        const next = markers[i + 1];
+        if (!next) return y0;
+        const top0 = markers[i].top || 0;
+        const f = Math.max(0, Math.min(1, (ref - top0) / Math.max(1, (next.top || 0) - top0)));
+        return y0 + f * ((this.yPositions[i + 1] ?? y0) - y0);
+    }
+
     updateVirtualRangeAndRender() {
         const localVersion = this.markersVersion;
         if (!this.ui.track || !this.ui.trackContent || this.markers.length === 0) return;
@@ -1510,37 +2434,50 @@ class TimelineManager {
             if (!marker.dotElement) {
                 const dot = document.createElement('button');
                 dot.className = 'timeline-dot';
+                if (marker.role === 'assistant') dot.classList.add('assistant');
                 dot.dataset.targetTurnId = marker.id;
-                dot.setAttribute('aria-label', marker.summary);
-                dot.setAttribute('tabindex', '0');
+                dot.setAttribute('role', 'option');
+                dot.setAttribute('tabindex', '-1');
+                dot.setAttribute('aria-setsize', String(len));
+                dot.setAttribute('aria-posinset', String(i + 1));
+                dot.setAttribute('aria-selected', marker.id === this.activeTurnId ? 'true' : 'false');
                 try { dot.setAttribute('aria-describedby', 'deepseek-timeline-tooltip'); } catch {}
                 try { dot.style.setProperty('--n', String(marker.n || 0)); } catch {}
+                if (marker.weight != null) {
+                    try { dot.style.setProperty('--w', marker.weight.toFixed(3)); } catch {}
+                }
                 if (this.usePixelTop) {
                     dot.style.top = `${Math.round(this.yPositions[i])}px`;
                 }
                 // Apply active state immediately if this is the active marker
                 try { dot.classList.toggle('active', marker.id === this.activeTurnId); } catch {}
-                // Apply starred state and aria
-                try {
-                    dot.classList.toggle('starred', !!marker.starred);
-                    dot.setAttribute('aria-pressed', marker.starred ? 'true' : 'false');
-                } catch {}
+                if (marker.id === this.generatingTurnId) dot.classList.add('generating');
                 marker.dotElement = dot;
+                // Apply starred state, bookmark category and aria
+                this.applyStarStateToDot(marker);
+                this.applyBranchStateToDot(marker);
+                this.applySearchStateToDot(marker);
                 frag.appendChild(dot);
             } else {
                 try { marker.dotElement.style.setProperty('--n', String(marker.n || 0)); } catch {}
+                if (marker.weight != null) {
+                    try { marker.dotElement.style.setProperty('--w', marker.weight.toFixed(3)); } catch {}
+                }
+                marker.dotElement.classList.toggle('generating', marker.id === this.generatingTurnId);
+                marker.dotElement.setAttribute('aria-setsize', String(len));
+                marker.dotElement.setAttribute('aria-posinset', String(i + 1));
                 if (this.usePixelTop) {
                     marker.dotElement.style.top = `${Math.round(this.yPositions[i])}px`;
                 }
-                try {
-                    marker.dotElement.classList.toggle('starred', !!marker.starred);
-                    marker.dotElement.setAttribute('aria-pressed', marker.starred ? 'true' : 'false');
-                } catch {}
+                this.applyStarStateToDot(marker);
+                this.applyBranchStateToDot(marker);
+                this.applySearchStateToDot(marker);
             }
         }
         if (localVersion !== this.markersVersion) return; // stale pass, abort
         if (frag.childNodes.length) this.ui.trackContent.appendChild(frag);
         this.visibleRange = { start, end };
+        this.updateRovingTabindex();
         // keep slider in sync with timeline scroll
         this.updateSlider();
     }
@@ -1583,9 +2520,11 @@ class TimelineManager {
         // External slider geometry (short rail centered on inner area)
         const railLen = Math.max(120, Math.min(240, Math.floor(barH * 0.45)));
         const railTop = Math.round(barRect.top + pad + (innerH - railLen) / 2);
-        const railLeftGap = 8; // px gap from bar's left edge
+        const railGap = 8; // px gap from the bar's edge
         const sliderWidth = 12; // matches CSS
-        const left = Math.round(barRect.left - railLeftGap - sliderWidth);
+        const left = (this.contentSide() === 'left')
+            ? Math.round(barRect.left - railGap - sliderWidth)
+            : Math.round(barRect.right + railGap);
         this.ui.slider.style.left = `${left}px`;
         this.ui.slider.style.top = `${railTop}px`;
         this.ui.slider.style.height = `${railLen}px`;
@@ -1620,19 +2559,344 @@ class TimelineManager {
         }, this.sliderFadeDelay);
     }
 
-    handleSliderDrag(e) {
-        if (!this.sliderDragging || !this.ui.timelineBar || !this.ui.track) return;
-        const barRect = this.ui.timelineBar.getBoundingClientRect();
-        const barH = barRect.height || 0;
-        const railLen = parseFloat(this.ui.slider.style.height || '0') || Math.max(120, Math.min(240, Math.floor(barH * 0.45)));
-        const handleH = this.ui.sliderHandle.getBoundingClientRect().height || 22;
-        const maxTop = Math.max(0, railLen - handleH);
-        const delta = e.clientY - this.sliderStartClientY;
-        let top = Math.max(0, Math.min(maxTop, (this.sliderStartTop + delta) - (parseFloat(this.ui.slider.style.top) || 0)));
-        const r = (maxTop > 0) ? (top / maxTop) : 0;
-        const range = Math.max(1, this.contentHeight - barH);
-        this.ui.track.scrollTop = Math.round(r * range);
-        this.updateVirtualRangeAndRender();
+    // --- Touch layout ---
+    shouldUseTouchLayout() {
+        if (!this.touchMode) return false;
+        let coarse = false;
+        try { coarse = !!window.matchMedia?.('(pointer: coarse)').matches; } catch {}
+        return coarse || (window.innerWidth || 0) <= this.touchBreakpoint;
+    }
+
+    // Re-evaluate on settings and resize; `relayout: false` when the caller lays out anyway
+    updateTouchLayout({ relayout = true } = {}) {
+        const next = this.shouldUseTouchLayout();
+        this.updateViewportInsets();
+        if (next === this.touchLayout) return;
+        this.touchLayout = next;
+        this.touchExpanded = false;
+        this.applyTouchClasses();
+        if (relayout && this.markers.length) {
+            this.updateTimelineGeometry();
+            this.syncTimelineTrackToMain();
+            this.updateVirtualRangeAndRender();
+        }
+    }
+
+    applyTouchClasses() {
+        const collapsed = this.touchLayout && !this.touchExpanded;
+        for (const el of [this.ui.timelineBar, this.ui.actions, this.ui.slider, this.ui.edgeHandle]) {
+            if (!el) continue;
+            el.classList.toggle('touch', this.touchLayout);
+            el.classList.toggle('touch-collapsed', collapsed);
+        }
+        const handle = this.ui.edgeHandle;
+        if (handle) {
+            handle.setAttribute('aria-expanded', this.touchExpanded ? 'true' : 'false');
+            handle.setAttribute('aria-label', this.touchExpanded ? 'Hide timeline' : 'Show timeline');
+        }
+        this.applyPlacement();
+    }
+
+    setTouchExpanded(expanded) {
+        if (!this.touchLayout || this.touchExpanded === !!expanded) return;
+        this.touchExpanded = !!expanded;
+        this.applyTouchClasses();
+        if (!this.touchExpanded) {
+            this.hideTooltip(true);
+            this.cancelPreview();
+            this.closeExportMenu();
+            return;
+        }
+        // The bar was off screen; its rect only now means something
+        this.syncTimelineTrackToMain();
+        this.updateVirtualRangeAndRender();
+        this.positionFloatingControls();
+    }
+
+    // Keep the bar inside the visual viewport (on-screen keyboard, pinch zoom)
+    updateViewportInsets() {
+        const vv = window.visualViewport;
+        if (!vv) return;
+        for (const el of [this.ui.timelineBar, this.ui.edgeHandle]) {
+            if (!el) continue;
+            try {
+                el.style.setProperty('--timeline-vv-top', `${Math.round(vv.offsetTop)}px`);
+                el.style.setProperty('--timeline-vv-height', `${Math.round(vv.height)}px`);
+            } catch {}
+        }
+    }
+
+    // --- Placement ---
+    // Dock side, floating position, auto-hide and collapsed line as classes on the bar and the
+    // controls beside it; the touch layout has its own placement and overrides all of them
+    applyPlacement() {
+        const bar = this.ui.timelineBar;
+        if (!bar) return;
+        const touch = this.touchLayout;
+        const dock = touch ? 'right' : this.dock;
+        const hidden = !touch && this.autoHide && !this.timelineRevealed;
+        const collapsed = !touch && this.collapsedLine && !this.lineOpen;
+        for (const el of [bar, this.ui.actions, this.ui.slider]) {
+            if (!el) continue;
+            el.classList.toggle('dock-left', dock === 'left');
+            el.classList.toggle('floating', dock === 'floating');
+            el.classList.toggle('auto-hidden', hidden);
+            el.classList.toggle('line-collapsed', collapsed);
+        }
+        if (dock === 'floating') this.applyFloatingPosition();
+        this.updateRevealListener();
+        this.updateSlider();
+        this.positionFloatingControls();
+    }
+
+    // Side of the bar that tooltips, popovers and the slider open towards
+    contentSide() {
+        if (this.touchLayout || this.dock === 'right') return 'left';
+        if (this.dock === 'left') return 'right';
+        const rect = this.ui.timelineBar?.getBoundingClientRect();
+        if (!rect) return 'left';
+        return (rect.left + rect.width / 2 > (window.innerWidth || 0) / 2) ? 'left' : 'right';
+    }
+
+    loadFloatingPosition() {
+        try {
+            const p = JSON.parse(this.store.getItem(this.placementKey) || 'null');
+            if (p && Number.isFinite(p.x) && Number.isFinite(p.y)) this.floatingPosition = { x: p.x, y: p.y };
+        } catch {}
+    }
+
+    // Fractions of the free space keep the bar in view when the window is resized
+    applyFloatingPosition() {
+        const bar = this.ui.timelineBar;
+        if (!bar) return;
+        const p = this.floatingPosition || { x: 1, y: 0.1 };
+        const pad = 8;
+        const freeX = Math.max(0, (window.innerWidth || 0) - (bar.offsetWidth || 24) - 2 * pad);
+        const freeY = Math.max(0, (window.innerHeight || 0) - (bar.offsetHeight || 0) - 2 * pad);
+        try {
+            bar.style.setProperty('--timeline-float-left', `${Math.round(pad + p.x * freeX)}px`);
+            bar.style.setProperty('--timeline-float-top', `${Math.round(pad + p.y * freeY)}px`);
+        } catch {}
+    }
+
+    beginGripDrag(e) {
+        if (this.touchLayout || this.dock !== 'floating') return;
+        if (typeof e.button === 'number' && e.button !== 0) return;
+        // Neither a scrub nor a long press on the bar below
+        try { e.preventDefault(); e.stopPropagation(); } catch {}
+        this.endGripDrag(null);
+        const rect = this.ui.timelineBar.getBoundingClientRect();
+        this.gripDrag = { pointerId: e.pointerId, dx: e.clientX - rect.left, dy: e.clientY - rect.top };
+        this.ui.timelineBar.classList.add('moving');
+        this.hideTooltip(true);
+        this.cancelPreview();
+        this.onGripMove = (ev) => this.moveGripDrag(ev);
+        this.onGripUp = (ev) => this.endGripDrag(ev);
+        window.addEventListener('pointermove', this.onGripMove);
+        window.addEventListener('pointerup', this.onGripUp);
+        window.addEventListener('pointercancel', this.onGripUp);
+    }
+
+    moveGripDrag(e) {
+        const d = this.gripDrag;
+        const bar = this.ui.timelineBar;
+        if (!d || !bar || e.pointerId !== d.pointerId) return;
+        const pad = 8;
+        const freeX = Math.max(1, (window.innerWidth || 0) - (bar.offsetWidth || 24) - 2 * pad);
+        const freeY = Math.max(1, (window.innerHeight || 0) - (bar.offsetHeight || 0) - 2 * pad);
+        const clamp01 = (v) => Math.max(0, Math.min(1, v));
+        this.floatingPosition = {
+            x: clamp01((e.clientX - d.dx - pad) / freeX),
+            y: clamp01((e.clientY - d.dy - pad) / freeY)
+        };
+        this.applyFloatingPosition();
+        this.updateSlider();
+        this.positionFloatingControls();
+    }
+
+    // `e` is null when the drag is abandoned (destroy); the position is saved either way
+    endGripDrag(e) {
+        const d = this.gripDrag;
+        if (!d || (e && e.pointerId !== d.pointerId)) return;
+        this.gripDrag = null;
+        try { window.removeEventListener('pointermove', this.onGripMove); } catch {}
+        try { window.removeEventListener('pointerup', this.onGripUp); } catch {}
+        try { window.removeEventListener('pointercancel', this.onGripUp); } catch {}
+        this.onGripMove = this.onGripUp = null;
+        this.ui.timelineBar?.classList.remove('moving');
+        if (this.floatingPosition) {
+            try { this.store.setItem(this.placementKey, JSON.stringify(this.floatingPosition)); } catch {}
+        }
+    }
+
+    // Pointer tracking is only needed while auto-hide or the collapsed line is on
+    updateRevealListener() {
+        const want = !this.touchLayout && (this.autoHide || this.collapsedLine);
+        if (want && !this.onRevealPointerMove) {
+            this.onRevealPointerMove = (e) => this.handleRevealPointer(e);
+            document.addEventListener('pointermove', this.onRevealPointerMove, { passive: true });
+        } else if (!want && this.onRevealPointerMove) {
+            try { document.removeEventListener('pointermove', this.onRevealPointerMove); } catch {}
+            this.onRevealPointerMove = null;
+        }
+    }
+
+    // Within revealZone of the bar shows it, on the bar (or over its controls) widens the line
+    handleRevealPointer(e) {
+        const bar = this.ui.timelineBar;
+        if (!bar) return;
+        const controls = '.deepseek-timeline-bar, .timeline-actions, .timeline-left-slider, .timeline-popover, .timeline-tooltip, .timeline-preview';
+        const onControls = !!e.target?.closest?.(controls);
+        const rect = bar.getBoundingClientRect();
+        const within = (pad) => e.clientX >= rect.left - pad && e.clientX <= rect.right + pad
+            && e.clientY >= rect.top - pad && e.clientY <= rect.bottom + pad;
+        this.lastPointerReveal = { revealed: onControls || within(this.revealZone), lineOpen: onControls || within(4) };
+        this.setRevealState(this.lastPointerReveal);
+    }
+
+    // Opening is immediate; closing waits so the pointer can cross the gap to the controls
+    setRevealState({ revealed, lineOpen }) {
+        if ((revealed && !this.timelineRevealed) || (lineOpen && !this.lineOpen)) {
+            this.timelineRevealed = this.timelineRevealed || revealed;
+            this.lineOpen = this.lineOpen || lineOpen;
+            this.applyPlacement();
+        }
+        const closing = (!revealed && this.timelineRevealed) || (!lineOpen && this.lineOpen);
+        if (!closing) {
+            if (this.revealTimer) { clearTimeout(this.revealTimer); this.revealTimer = null; }
+            return;
+        }
+        this.pendingReveal = { revealed, lineOpen };
+        if (this.revealTimer) return;
+        this.revealTimer = setTimeout(() => {
+            this.revealTimer = null;
+            if (this.isTimelineEngaged()) return;
+            this.timelineRevealed = this.pendingReveal.revealed;
+            this.lineOpen = this.pendingReveal.lineOpen;
+            if (!this.lineOpen) {
+                this.hideTooltip(true);
+                this.cancelPreview();
+            }
+            this.applyPlacement();
+        }, this.revealHideDelay);
+    }
+
+    // Keeps an auto-hidden or collapsed timeline open while it is being used
+    isTimelineEngaged() {
+        if (this.scrub || this.sliderDragging || this.gripDrag) return true;
+        if (document.activeElement?.closest?.('.deepseek-timeline-bar, .timeline-actions, .timeline-popover')) return true;
+        return !!document.querySelector('.timeline-popover.visible');
+    }
+
+    // --- Scrubbing ---
+    // Index of the marker whose dot is closest to `clientY`, or -1: the last dot at or above the
+    // pointer (upperBound) against the first one at or below it (lowerBound)
+    nearestMarkerIndex(clientY) {
+        const ys = this.yPositions;
+        if (!this.ui.track || ys.length === 0) return -1;
+        const rect = this.ui.track.getBoundingClientRect();
+        const y = clientY - rect.top + (this.ui.track.scrollTop || 0);
+        const above = this.upperBound(ys, y);
+        const below = this.lowerBound(ys, y);
+        if (above < 0) return Math.min(below, ys.length - 1);
+        if (below >= ys.length) return above;
+        return (y - ys[above] <= ys[below] - y) ? above : below;
+    }
+
+    beginScrub(e) {
+        if (typeof e.button === 'number' && e.button !== 0) return;
+        const finger = this.touchLayout && e.pointerType !== 'mouse';
+        if (!finger && !this.scrubDrag) return;
+        this.endScrub(null);
+        this.scrub = { pointerId: e.pointerId, startY: e.clientY, index: -1, moved: false };
+        this.onScrubMove = (ev) => this.moveScrub(ev);
+        this.onScrubEnd = (ev) => this.endScrub(ev);
+        this.onScrubKeyDown = (ev) => { if (ev.key === 'Escape') this.endScrub(null); };
+        window.addEventListener('pointermove', this.onScrubMove, { passive: true });
+        window.addEventListener('pointerup', this.onScrubEnd);
+        window.addEventListener('pointercancel', this.onScrubEnd);
+        window.addEventListener('keydown', this.onScrubKeyDown, true);
+    }
+
+    moveScrub(e) {
+        const s = this.scrub;
+        if (!s || e.pointerId !== s.pointerId) return;
+        if (!s.moved) {
+            // Same tolerance as the long press, which this movement cancels
+            if (Math.abs(e.clientY - s.startY) <= this.longPressMoveTolerance) return;
+            s.moved = true;
+            this.cancelPreview();
+            this.ui.timelineBar?.classList.add('scrubbing');
+            // A mouse drag may have started selecting page text before it became a scrub
+            try { window.getSelection()?.removeAllRanges(); } catch {}
+        }
+        this.scrollTrackAtEdges(e.clientY);
+        const index = this.nearestMarkerIndex(e.clientY);
+        if (index < 0 || index === s.index) return;
+        this.markers[s.index]?.dotElement?.classList.remove('scrub-target');
+        s.index = index;
+        const dot = this.markers[index].dotElement;
+        if (!dot) return;
+        dot.classList.add('scrub-target');
+        this.showTooltipForDot(dot);
+        // Snap feedback on each new turn (fingers only; vibrate is a no-op elsewhere)
+        if (e.pointerType !== 'mouse') {
+            try { navigator.vibrate?.(8); } catch {}
+        }
+    }
+
+    // Near the bar's ends, move the long track so turns beyond the visible part can be reached
+    scrollTrackAtEdges(clientY) {
+        const track = this.ui.track;
+        if (!track || this.contentHeight <= (track.clientHeight || 0) + 1) return;
+        const rect = track.getBoundingClientRect();
+        if (rect.height <= 2 * this.scrubEdgeZone) return; // folded away or too short to have ends
+        const zone = this.scrubEdgeZone;
+        let delta = 0;
+        if (clientY < rect.top + zone) delta = clientY - (rect.top + zone);
+        else if (clientY > rect.bottom - zone) delta = clientY - (rect.bottom - zone);
+        if (!delta) return;
+        const max = Math.max(0, this.contentHeight - (track.clientHeight || 0));
+        track.scrollTop = Math.max(0, Math.min(max, (track.scrollTop || 0) + delta));
+        this.updateVirtualRangeAndRender();
+    }
+
+    // `e` null: abandon (Escape, teardown) without jumping
+    endScrub(e) {
+        const s = this.scrub;
+        if (s && e && e.pointerId !== s.pointerId) return;
+        if (this.onScrubMove) {
+            try { window.removeEventListener('pointermove', this.onScrubMove); } catch {}
+            try { window.removeEventListener('pointerup', this.onScrubEnd); } catch {}
+            try { window.removeEventListener('pointercancel', this.onScrubEnd); } catch {}
+            try { window.removeEventListener('keydown', this.onScrubKeyDown, true); } catch {}
+        }
+        this.onScrubMove = this.onScrubEnd = this.onScrubKeyDown = null;
+        this.scrub = null;
+        if (!s) return;
+        const marker = this.markers[s.index];
+        try { marker?.dotElement?.classList.remove('scrub-target'); } catch {}
+        if (!s.moved) return; // a click or tap: the click handler jumps
+        try { this.ui.timelineBar?.classList.remove('scrubbing'); } catch {}
+        this.hideTooltip();
+        // Releasing also clicks whatever dot the pointer ended on
+        this.suppressClickUntil = Date.now() + 350;
+        if (e && e.type === 'pointerup' && marker?.element) this.smoothScrollTo(marker.element);
+    }
+
+    handleSliderDrag(e) {
+        if (!this.sliderDragging || !this.ui.timelineBar || !this.ui.track) return;
+        const barRect = this.ui.timelineBar.getBoundingClientRect();
+        const barH = barRect.height || 0;
+        const railLen = parseFloat(this.ui.slider.style.height || '0') || Math.max(120, Math.min(240, Math.floor(barH * 0.45)));
+        const handleH = this.ui.sliderHandle.getBoundingClientRect().height || 22;
+        const maxTop = Math.max(0, railLen - handleH);
+        const delta = e.clientY - this.sliderStartClientY;
+        let top = Math.max(0, Math.min(maxTop, (this.sliderStartTop + delta) - (parseFloat(this.ui.slider.style.top) || 0)));
+        const r = (maxTop > 0) ? (top / maxTop) : 0;
+        const range = Math.max(1, this.contentHeight - barH);
+        this.ui.track.scrollTop = Math.round(r * range);
+        this.updateVirtualRangeAndRender();
         this.showSlider();
         this.updateSlider();
     }
@@ -1658,7 +2922,9 @@ class TimelineManager {
         const minW = 160;
         const leftAvail = Math.max(0, dotRect.left - gap - viewportPad);
         const rightAvail = Math.max(0, vw - dotRect.right - gap - viewportPad);
-        let placement = (rightAvail > leftAvail) ? 'right' : 'left';
+        // Open towards the conversation; the roomier side only when that one is too tight
+        let placement = this.contentSide();
+        if ((placement === 'right' ? rightAvail : leftAvail) < minW) placement = (rightAvail > leftAvail) ? 'right' : 'left';
         let avail = placement === 'right' ? rightAvail : leftAvail;
         // choose width tier for determinism
         const tiers = [280, 240, 200, 160];
@@ -1790,14 +3056,41 @@ class TimelineManager {
 
     destroy() {
         try { this.mutationObserver?.disconnect(); } catch {}
+        if (this.tailUpdateTimer) { try { clearTimeout(this.tailUpdateTimer); } catch {} this.tailUpdateTimer = null; }
+        if (this.generationIdleTimer) { try { clearTimeout(this.generationIdleTimer); } catch {} this.generationIdleTimer = null; }
+        this.generating = false;
+        this.generatingTurnId = null;
         try { this.resizeObserver?.disconnect(); } catch {}
         try { this.intersectionObserver?.disconnect(); } catch {}
         this.visibleUserTurns.clear();
-        this.persistFingerprintMap(true);
+        this.persistBranchMap();
         if (this.ui.timelineBar && this.onTimelineBarClick) {
             try { this.ui.timelineBar.removeEventListener('click', this.onTimelineBarClick); } catch {}
         }
-        try { window.removeEventListener('storage', this.onStorage); } catch {}
+        try { this.unsubscribeStorage?.(); } catch {}
+        this.unsubscribeStorage = null;
+        try { this.unsubscribeSettings?.(); } catch {}
+        this.unsubscribeSettings = null;
+        this.onStorage = null;
+        try { window.removeEventListener('keydown', this.onKeyDown, true); } catch {}
+        this.onKeyDown = null;
+        try { this.ui.timelineBar?.removeEventListener('contextmenu', this.onTimelineContextMenu); } catch {}
+        this.onTimelineContextMenu = null;
+        this.closeBookmarkEditor();
+        if (this.ui.bookmarkEditor) {
+            try { this.ui.bookmarkEditor.removeEventListener('click', this.onBookmarkEditorClick); } catch {}
+            try { this.ui.bookmarkEditor.removeEventListener('keydown', this.onBookmarkEditorKeyDown); } catch {}
+            try { this.ui.bookmarkEditor.remove(); } catch {}
+        }
+        this.onBookmarkEditorClick = this.onBookmarkEditorKeyDown = null;
+        try { this.ui.bookmarksPanel?.removeEventListener('click', this.onBookmarksPanelClick); } catch {}
+        try { this.ui.bookmarksPanel?.remove(); } catch {}
+        this.onBookmarksPanelClick = null;
+        this.pendingJump = null;
+        this.cancelPreview();
+        try { window.removeEventListener('keydown', this.onPreviewKeyDown); } catch {}
+        this.onPreviewKeyDown = null;
+        try { this.ui.previewCard?.remove(); } catch {}
         try { this.ui.timelineBar?.removeEventListener('pointerdown', this.onPointerDown); } catch {}
         try { window.removeEventListener('pointermove', this.onPointerMove); } catch {}
         try { window.removeEventListener('pointerup', this.onPointerUp); } catch {}
@@ -1811,6 +3104,7 @@ class TimelineManager {
             try { this.ui.timelineBar.removeEventListener('mouseout', this.onTimelineBarOut); } catch {}
             try { this.ui.timelineBar.removeEventListener('focusin', this.onTimelineBarFocusIn); } catch {}
             try { this.ui.timelineBar.removeEventListener('focusout', this.onTimelineBarFocusOut); } catch {}
+            try { this.ui.trackContent?.removeEventListener('keydown', this.onDotKeyDown); } catch {}
             try { this.ui.timelineBar.removeEventListener('wheel', this.onTimelineWheel); } catch {}
             // Remove hover handlers with stable refs
             try { this.ui.timelineBar?.removeEventListener('pointerenter', this.onBarEnter); } catch {}
@@ -1821,19 +3115,64 @@ class TimelineManager {
         }
         try { this.ui.sliderHandle?.removeEventListener('pointerdown', this.onSliderDown); } catch {}
         try { window.removeEventListener('pointermove', this.onSliderMove); } catch {}
+        try { this.ui.actions?.removeEventListener('click', this.onActionsClick); } catch {}
+        this.onActionsClick = null;
+        if (this.ui.searchInput) {
+            try { this.ui.searchInput.removeEventListener('input', this.onSearchInput); } catch {}
+            try { this.ui.searchInput.removeEventListener('keydown', this.onSearchKeyDown); } catch {}
+        }
+        try { this.ui.searchPanel?.querySelector('.timeline-search-replies input')?.removeEventListener('change', this.onSearchRepliesChange); } catch {}
+        this.onSearchInput = this.onSearchKeyDown = this.onSearchRepliesChange = null;
+        this.closeExportMenu();
+        try { this.ui.exportMenu?.removeEventListener('click', this.onExportMenuClick); } catch {}
+        this.onExportMenuClick = null;
+        try { this.ui.exportMenu?.remove(); } catch {}
+        try { this.ui.actions?.remove(); } catch {}
+        try { this.ui.searchPanel?.remove(); } catch {}
+        this.searchQuery = '';
+        this.searchHits = [];
+        this.searchHitSet.clear();
+        this.searchCursor = -1;
         if (this.onWindowResize) {
             try { window.removeEventListener('resize', this.onWindowResize); } catch {}
         }
         if (this.onVisualViewportResize && window.visualViewport) {
             try { window.visualViewport.removeEventListener('resize', this.onVisualViewportResize); } catch {}
-            this.onVisualViewportResize = null;
+            try { window.visualViewport.removeEventListener('scroll', this.onVisualViewportScroll); } catch {}
+            this.onVisualViewportResize = this.onVisualViewportScroll = null;
+        }
+        this.endScrub(null);
+        try { this.ui.timelineBar?.removeEventListener('pointerdown', this.onScrubDown); } catch {}
+        try { this.ui.edgeHandle?.removeEventListener('click', this.onEdgeHandleClick); } catch {}
+        try { document.removeEventListener('pointerdown', this.onTouchOutsideDown, true); } catch {}
+        try { this.ui.edgeHandle?.remove(); } catch {}
+        this.onScrubDown = this.onEdgeHandleClick = this.onTouchOutsideDown = null;
+        this.touchLayout = this.touchExpanded = false;
+        this.endGripDrag(null);
+        try { this.ui.dragGrip?.removeEventListener('pointerdown', this.onGripDown); } catch {}
+        this.onGripDown = null;
+        if (this.onRevealPointerMove) {
+            try { document.removeEventListener('pointermove', this.onRevealPointerMove); } catch {}
+            this.onRevealPointerMove = null;
         }
+        if (this.revealTimer) { clearTimeout(this.revealTimer); this.revealTimer = null; }
+        this.stopThemeWatch();
+        try {
+            for (const name of ['data-timeline-theme', 'data-timeline-scheme', 'data-timeline-palette', 'data-timeline-accent']) {
+                document.documentElement.removeAttribute(name);
+            }
+            document.documentElement.style.removeProperty('--timeline-accent');
+        } catch {}
         if (this.scrollRafId !== null) {
             try { cancelAnimationFrame(this.scrollRafId); } catch {}
             this.scrollRafId = null;
         }
         try { this.ui.timelineBar?.remove(); } catch {}
         try { this.ui.tooltip?.remove(); } catch {}
+        try { this.ui.liveRegion?.remove(); } catch {}
+        if (this.announceTimer) { clearTimeout(this.announceTimer); this.announceTimer = null; }
+        this.onDotKeyDown = null;
+        this.focusTurnId = this.announcedTurnId = null;
         try { this.measureEl?.remove(); } catch {}
         // Ensure external left slider is fully removed and not intercepting pointer events
         try {
@@ -1851,11 +3190,15 @@ class TimelineManager {
         this.ui.sliderHandle = null;
         this.ui = { timelineBar: null, tooltip: null };
         this.markers = [];
+        this.markerMap.clear();
+        this.turnElements = [];
         this.activeTurnId = null;
         this.scrollContainer = null;
         this.conversationContainer = null;
-        this.fingerprintToTurnId.clear();
-        this.fingerprintMapDirty = false;
+        this.legacyTurnIds.clear();
+        this.turnIdAliases.clear();
+        this.branchSlots.clear();
+        this.branchInfo.clear();
         this.onTimelineBarClick = null;
         this.onTimelineBarOver = null;
         this.onTimelineBarOut = null;
@@ -1887,6 +3230,14 @@ class TimelineManager {
 
     // --- Star/Highlight helpers ---
     extractConversationIdFromPath(pathname = location.pathname, search = location.search) {
+        try {
+            const fromSite = this.site.readConversationId?.(String(pathname || ''), String(search || ''));
+            if (fromSite) return String(fromSite);
+        } catch {}
+        return this.genericConversationIdFromPath(pathname, search);
+    }
+
+    genericConversationIdFromPath(pathname = location.pathname, search = location.search) {
         try {
             const pathStr = String(pathname || '');
             const searchStr = String(search || '');
@@ -1904,111 +3255,1738 @@ class TimelineManager {
         }
     }
 
+    // Before adapters, pages the generic pattern missed were keyed by a hash of URL + title.
+    // Move data saved under that key (found by hash or by the URL stored with the bookmarks) to the adapter's id.
+    adoptLegacyConversationData() {
+        const cid = this.conversationId;
+        if (!cid) return;
+        const legacyIds = new Set();
+        try {
+            legacyIds.add(this.genericConversationIdFromPath(location.pathname, location.search));
+            const url = this.currentConversationMeta().url;
+            for (const key of this.store.keys('deepseekTimelineStars:ds-')) {
+                if (this.readBookmarkMeta(this.store.getItem(key)).url === url) legacyIds.add(key.slice('deepseekTimelineStars:'.length));
+            }
+        } catch {}
+        legacyIds.delete(cid);
+        for (const legacyId of legacyIds) {
+            if (legacyId && legacyId.startsWith('ds-')) this.moveConversationData(legacyId, cid);
+        }
+    }
+
+    moveConversationData(fromId, toId) {
+        for (const prefix of ['deepseekTimelineStars:', 'deepseekTimelineNotes:', 'deepseekTimelineMessageIds:', 'deepseekTimelineBranches:']) {
+            try {
+                const raw = this.store.getItem(prefix + fromId);
+                if (raw == null) continue;
+                if (this.store.getItem(prefix + toId) == null) {
+                    let value = raw;
+                    // Fingerprints embed the conversation id; rewrite them so stars saved under fingerprint ids still resolve
+                    if (prefix === 'deepseekTimelineMessageIds:') {
+                        const parsed = JSON.parse(raw);
+                        const entries = Array.isArray(parsed) ? parsed : Object.entries(parsed || {});
+                        const from = `{"c":${JSON.stringify(fromId)},`;
+                        const to = `{"c":${JSON.stringify(toId)},`;
+                        value = JSON.stringify(entries.map(([fp, id]) => [String(fp).replace(from, to), id]));
+                    }
+                    this.store.setItem(prefix + toId, value);
+                }
+                this.store.removeItem(prefix + fromId);
+            } catch {}
+        }
+    }
+
+    normalizeBookmark(value) {
+        const src = (value && typeof value === 'object') ? value : {};
+        const category = BOOKMARK_CATEGORIES.some(c => c.id === src.category) ? src.category : 'star';
+        const createdAt = Number(src.createdAt);
+        return {
+            label: String(src.label || '').trim().slice(0, 80),
+            category,
+            // Notes written before per-turn notes existed; moved to the notes store by loadNotes()
+            note: String(src.note || '').trim().slice(0, 2000),
+            // Prompt snapshot so other conversations can list this bookmark without its DOM
+            summary: String(src.summary || '').trim().slice(0, 200),
+            // Where the turn sat when starred: branch slot, role and position, used to find it again
+            // when its id disappears (see reconcileOrphanedStars)
+            slot: String(src.slot || '').slice(0, 160),
+            role: (src.role === 'user' || src.role === 'assistant') ? src.role : '',
+            ordinal: Number.isInteger(src.ordinal) && src.ordinal >= 0 ? src.ordinal : -1,
+            createdAt: Number.isFinite(createdAt) && createdAt > 0 ? createdAt : Date.now()
+        };
+    }
+
+    // Conversation meta stored alongside v2 bookmarks ({ title, url }); empty for v1 arrays
+    readBookmarkMeta(raw) {
+        try {
+            const parsed = JSON.parse(raw);
+            const meta = (parsed && !Array.isArray(parsed) && typeof parsed.meta === 'object' && parsed.meta) || {};
+            return { title: String(meta.title || ''), url: String(meta.url || '') };
+        } catch {
+            return { title: '', url: '' };
+        }
+    }
+
+    // Accepts the v1 array of ids or the v2 { version, bookmarks } object; null when unreadable
+    parseBookmarks(raw) {
+        if (!raw) return null;
+        let parsed;
+        try { parsed = JSON.parse(raw); } catch { return null; }
+        const out = new Map();
+        if (Array.isArray(parsed)) {
+            parsed.forEach(id => { if (id != null && id !== '') out.set(String(id), this.normalizeBookmark({ createdAt: 0 })); });
+            return out;
+        }
+        if (parsed && typeof parsed === 'object' && parsed.bookmarks && typeof parsed.bookmarks === 'object') {
+            for (const [id, value] of Object.entries(parsed.bookmarks)) {
+                if (id) out.set(id, this.normalizeBookmark(value));
+            }
+            return out;
+        }
+        return null;
+    }
+
+    serializeBookmarks(map, meta = null) {
+        const data = { version: BOOKMARK_SCHEMA_VERSION, bookmarks: Object.fromEntries(map) };
+        if (meta) data.meta = meta;
+        return JSON.stringify(data);
+    }
+
+    currentConversationMeta() {
+        return {
+            title: this.normalizeText(document.title || ''),
+            url: `${location.origin || ''}${location.pathname || ''}${location.search || ''}`
+        };
+    }
+
+    // One-time upgrade of every legacy star array to the bookmark schema
+    migrateLegacyStars() {
+        try {
+            if (this.store.getItem('deepseekTimelineStarsSchema') === String(BOOKMARK_SCHEMA_VERSION)) return;
+            for (const key of this.store.keys('deepseekTimelineStars:')) {
+                const raw = this.store.getItem(key);
+                let parsed = null;
+                try { parsed = JSON.parse(raw); } catch {}
+                if (!Array.isArray(parsed)) continue;
+                const map = this.parseBookmarks(raw);
+                if (map) this.store.setItem(key, this.serializeBookmarks(map));
+            }
+            this.store.setItem('deepseekTimelineStarsSchema', String(BOOKMARK_SCHEMA_VERSION));
+        } catch {}
+    }
+
     loadStars() {
         this.starred.clear();
         const cid = this.conversationId;
         if (!cid) return;
         try {
-            const raw = localStorage.getItem(`deepseekTimelineStars:${cid}`);
-            if (!raw) return;
-            const arr = JSON.parse(raw);
-            if (Array.isArray(arr)) arr.forEach(id => this.starred.add(String(id)));
+            const raw = this.store.getItem(`deepseekTimelineStars:${cid}`);
+            const map = this.parseBookmarks(raw);
+            if (map) this.starred = map;
         } catch {}
     }
 
     saveStars() {
         const cid = this.conversationId;
         if (!cid) return;
-        try { localStorage.setItem(`deepseekTimelineStars:${cid}`, JSON.stringify(Array.from(this.starred))); } catch {}
+        try {
+            const key = `deepseekTimelineStars:${cid}`;
+            if (this.starred.size === 0) this.store.removeItem(key);
+            else this.store.setItem(key, this.serializeBookmarks(this.starred, this.currentConversationMeta()));
+        } catch {}
     }
 
-    toggleStar(turnId) {
+    // --- Notes ---
+    normalizeNote(value) {
+        const src = (value && typeof value === 'object') ? value : {};
+        const updatedAt = Number(src.updatedAt);
+        return {
+            text: String(src.text || '').trim().slice(0, NOTE_MAX_LENGTH),
+            // Same snapshot as bookmarks, so a note follows its turn like a star does
+            summary: String(src.summary || '').trim().slice(0, 200),
+            slot: String(src.slot || '').slice(0, 160),
+            role: (src.role === 'user' || src.role === 'assistant') ? src.role : '',
+            ordinal: Number.isInteger(src.ordinal) && src.ordinal >= 0 ? src.ordinal : -1,
+            updatedAt: Number.isFinite(updatedAt) && updatedAt > 0 ? updatedAt : Date.now()
+        };
+    }
+
+    parseNotes(raw) {
+        const out = new Map();
+        let parsed = null;
+        try { parsed = raw ? JSON.parse(raw) : null; } catch {}
+        if (!parsed || typeof parsed.notes !== 'object' || !parsed.notes) return out;
+        for (const [id, value] of Object.entries(parsed.notes)) {
+            const note = this.normalizeNote(value);
+            if (id && note.text) out.set(id, note);
+        }
+        return out;
+    }
+
+    loadNotes() {
+        this.notes.clear();
+        const cid = this.conversationId;
+        if (!cid) return;
+        try { this.notes = this.parseNotes(this.store.getItem(`deepseekTimelineNotes:${cid}`)); } catch {}
+        // Bookmark notes from before per-turn notes: move them over once
+        let moved = false;
+        for (const [id, bookmark] of this.starred) {
+            if (!bookmark.note) continue;
+            if (!this.notes.has(id)) {
+                this.notes.set(id, this.normalizeNote({ ...bookmark, text: bookmark.note, updatedAt: bookmark.createdAt }));
+            }
+            this.starred.set(id, { ...bookmark, note: '' });
+            moved = true;
+        }
+        if (moved) {
+            this.saveStars();
+            this.saveNotes();
+        }
+    }
+
+    saveNotes() {
+        const cid = this.conversationId;
+        if (!cid) return;
+        try {
+            const key = `deepseekTimelineNotes:${cid}`;
+            if (this.notes.size === 0) this.store.removeItem(key);
+            else {
+                const data = { version: NOTE_SCHEMA_VERSION, notes: Object.fromEntries(this.notes), meta: this.currentConversationMeta() };
+                this.store.setItem(key, JSON.stringify(data));
+            }
+        } catch {}
+    }
+
+    // Empty text deletes the note
+    setTurnNote(turnId, text) {
         const id = String(turnId || '');
         if (!id) return;
-        if (this.starred.has(id)) this.starred.delete(id); else this.starred.add(id);
-        this.saveStars();
-        const m = this.markerMap.get(id);
-        if (m) {
-            m.starred = this.starred.has(id);
-            if (m.dotElement) {
-                try {
-                    m.dotElement.classList.toggle('starred', m.starred);
-                    m.dotElement.setAttribute('aria-pressed', m.starred ? 'true' : 'false');
-                } catch {}
-                // If tooltip is visible and anchored to this dot, update immediately
-                try { this.refreshTooltipForDot(m.dotElement); } catch {}
+        const note = this.normalizeNote({ ...this.bookmarkSnapshot(id), text });
+        if (note.text) this.notes.set(id, note);
+        else if (!this.notes.delete(id)) return;
+        this.saveNotes();
+        this.syncMarkerStar(id);
+    }
+
+    // Single-line rendition of a Markdown note for the tooltip
+    notePlainText(text) {
+        return this.normalizeText(String(text || '')
+            .replace(/```[^\n]*\n?/g, ' ')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/^\s{0,3}(#{1,6}|[-*+]|\d+[.)]|>)\s+/gm, '')
+            .replace(/(\*\*|__|\*|_|`|~~)/g, ''));
+    }
+
+    // Small, DOM-only Markdown subset for notes: fenced code, headings, lists, paragraphs and
+    // inline code / bold / italics / links (shown as their text). Never parses HTML.
+    renderNoteMarkdown(text) {
+        const frag = document.createDocumentFragment();
+        const lines = String(text || '').split('\n');
+        let list = null;
+        let para = null;
+        const closeBlocks = () => { list = null; para = null; };
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (/^\s*```/.test(line)) {
+                const code = [];
+                for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+                const pre = document.createElement('pre');
+                pre.className = 'timeline-preview-code';
+                pre.textContent = code.join('\n');
+                frag.appendChild(pre);
+                closeBlocks();
+                continue;
+            }
+            if (!line.trim()) { closeBlocks(); continue; }
+            const heading = line.match(/^\s{0,3}#{1,6}\s+(.*)$/);
+            const item = line.match(/^\s*(?:[-*+]|(\d+)[.)])\s+(.*)$/);
+            if (heading) {
+                const strong = document.createElement('strong');
+                strong.className = 'timeline-note-heading';
+                this.appendInlineMarkdown(strong, heading[1]);
+                frag.appendChild(strong);
+                closeBlocks();
+            } else if (item) {
+                const tag = item[1] ? 'OL' : 'UL';
+                if (!list || list.tagName !== tag) {
+                    list = document.createElement(tag.toLowerCase());
+                    frag.appendChild(list);
+                    para = null;
+                }
+                const li = document.createElement('li');
+                this.appendInlineMarkdown(li, item[2]);
+                list.appendChild(li);
+            } else {
+                if (!para) {
+                    para = document.createElement('p');
+                    frag.appendChild(para);
+                    list = null;
+                } else {
+                    para.appendChild(document.createElement('br'));
+                }
+                this.appendInlineMarkdown(para, line.replace(/^\s*>\s?/, ''));
             }
         }
+        return frag;
     }
 
-    cancelLongPress() {
-        if (this.longPressTimer) { try { clearTimeout(this.longPressTimer); } catch {} this.longPressTimer = null; }
-        if (this.pressTargetDot) { try { this.pressTargetDot.classList.remove('holding'); } catch {} }
-        this.pressTargetDot = null;
-        this.pressStartPos = null;
-        this.longPressTriggered = false;
+    appendInlineMarkdown(parent, text) {
+        const pattern = /(`[^`]+`|\*\*[^*]+\*\*|__[^_]+__|\*[^*\s][^*]*\*|_[^_\s][^_]*_|!?\[[^\]]*\]\([^)]*\))/g;
+        let last = 0;
+        for (const match of String(text).matchAll(pattern)) {
+            if (match.index > last) parent.appendChild(document.createTextNode(text.slice(last, match.index)));
+            const token = match[0];
+            let node;
+            if (token.startsWith('`')) {
+                node = document.createElement('code');
+                node.textContent = token.slice(1, -1);
+            } else if (token.startsWith('**') || token.startsWith('__')) {
+                node = document.createElement('strong');
+                node.textContent = token.slice(2, -2);
+            } else if (token.startsWith('*') || token.startsWith('_')) {
+                node = document.createElement('em');
+                node.textContent = token.slice(1, -1);
+            } else {
+                node = document.createTextNode(token.replace(/^!?\[([^\]]*)\].*$/, '$1'));
+            }
+            parent.appendChild(node);
+            last = match.index + token.length;
+        }
+        if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
     }
-}
 
+    toggleStar(turnId) {
+        const id = String(turnId || '');
+        if (!id) return;
+        if (this.starred.has(id)) this.starred.delete(id);
+        else this.starred.set(id, this.normalizeBookmark(this.bookmarkSnapshot(id)));
+        this.saveStars();
+        this.syncMarkerStar(id);
+    }
 
-// --- Entry Point and SPA Navigation Handler ---
-let timelineManagerInstance = null;
-let currentUrl = location.href;
-let initTimerId = null;            // cancellable delayed init
-let pageObserver = null;           // page-level MutationObserver (managed)
-let routeCheckIntervalId = null;   // lightweight href polling fallback
-let routeListenersAttached = false;
+    // Create or update a bookmark; patch fields are merged over the existing entry
+    setBookmark(turnId, patch) {
+        const id = String(turnId || '');
+        if (!id) return;
+        const prev = this.starred.get(id) || this.bookmarkSnapshot(id);
+        this.starred.set(id, this.normalizeBookmark({ ...prev, ...patch }));
+        this.saveStars();
+        this.syncMarkerStar(id);
+    }
 
-// Accept both /c/<id> and nested routes like /g/.../c/<id>
-function isConversationRoute() {
-    const host = String(location.hostname || '').toLowerCase();
-    if (!host.includes('deepseek')) return false;
-    if (host.includes('chat.')) return true;
-    return Boolean(document.querySelector('.ds-scroll-area, [data-radix-scroll-area-viewport]'));
-}
+    removeBookmark(turnId) {
+        const id = String(turnId || '');
+        if (!id || !this.starred.has(id)) return;
+        this.starred.delete(id);
+        this.saveStars();
+        this.syncMarkerStar(id);
+    }
 
-function attachRouteListenersOnce() {
-    if (routeListenersAttached) return;
-    routeListenersAttached = true;
-    try { window.addEventListener('popstate', handleUrlChange); } catch {}
-    try { window.addEventListener('hashchange', handleUrlChange); } catch {}
-    // Lightweight polling fallback for pushState-driven SPA changes
-    try {
-        routeCheckIntervalId = setInterval(() => {
-            if (location.href !== currentUrl) handleUrlChange();
-        }, 800);
-    } catch {}
-}
+    // Prompt text and position of a turn on screen, stored with its bookmark
+    bookmarkSnapshot(id) {
+        const info = this.branchInfo.get(id);
+        const el = this.markerMap.get(id)?.element || this.conversationContainer?.querySelector(`[data-turn-id="${CSS.escape(id)}"]`);
+        return {
+            summary: this.markerMap.get(id)?.summary || (el ? this.normalizeText(el.textContent || '') : ''),
+            slot: info?.slot,
+            role: el?.dataset.turn,
+            ordinal: info?.ordinal
+        };
+    }
 
-function detachRouteListeners() {
-    if (!routeListenersAttached) return;
-    routeListenersAttached = false;
-    try { window.removeEventListener('popstate', handleUrlChange); } catch {}
-    try { window.removeEventListener('hashchange', handleUrlChange); } catch {}
-    try { if (routeCheckIntervalId) { clearInterval(routeCheckIntervalId); routeCheckIntervalId = null; } } catch {}
-}
+    // Stars from older versions lack parts of the snapshot; fill them in once their turn is on screen
+    backfillBookmarkSummaries() {
+        let changed = false;
+        for (const [id, bookmark] of this.starred) {
+            if (bookmark.summary && bookmark.slot && bookmark.role && bookmark.ordinal >= 0) continue;
+            if (!this.branchInfo.has(id)) continue;
+            const snap = this.bookmarkSnapshot(id);
+            const next = this.normalizeBookmark({
+                ...bookmark,
+                summary: bookmark.summary || snap.summary,
+                slot: bookmark.slot || snap.slot,
+                role: bookmark.role || snap.role,
+                ordinal: bookmark.ordinal >= 0 ? bookmark.ordinal : snap.ordinal
+            });
+            if (JSON.stringify(next) === JSON.stringify(bookmark)) continue;
+            this.starred.set(id, next);
+            changed = true;
+        }
+        if (changed) this.saveStars();
+    }
 
-function cleanupGlobalObservers() {
-    try { pageObserver?.disconnect(); } catch {}
-    pageObserver = null;
-}
+    // Stars and notes whose id is no longer on the page (re-rendered turn, id from an older version)
+    // move to the turn that replaced them: a known alias first, then an unambiguous text match. One
+    // on a branch that is not shown keeps its id.
+    reconcileOrphanedStars() {
+        if (!this.conversationContainer) return;
+        const stars = this.reattachOrphans(this.starred, (id, bookmark) => {
+            const m = this.markerMap.get(id);
+            if (m) m.starred = true;
+            return this.normalizeBookmark({ ...bookmark, ...this.bookmarkSnapshot(id) });
+        });
+        const notes = this.reattachOrphans(this.notes, (id, note) => this.normalizeNote({ ...note, ...this.bookmarkSnapshot(id) }));
+        if (stars.moved) this.saveStars();
+        if (notes.moved) this.saveNotes();
+        if (!stars.left && !notes.left) this.dropLegacyTurnIds();
+    }
 
-function initializeTimeline() {
-    if (timelineManagerInstance) {
-        try { timelineManagerInstance.destroy(); } catch {}
-        timelineManagerInstance = null;
+    // Re-key orphaned entries of `map` (stars or notes); `rebuild(newId, entry)` returns the moved entry
+    reattachOrphans(map, rebuild) {
+        const orphans = Array.from(map.keys()).filter(id => !this.branchInfo.has(id));
+        const claimed = new Set();
+        const moves = [];
+        for (const oldId of orphans) {
+            const newId = this.findReplacementTurn(oldId, map);
+            if (!newId || map.has(newId) || claimed.has(newId)) continue;
+            claimed.add(newId);
+            moves.push([oldId, newId]);
+        }
+        for (const [oldId, newId] of moves) {
+            const entry = map.get(oldId);
+            map.delete(oldId);
+            map.set(newId, rebuild(newId, entry));
+        }
+        return { moved: moves.length, left: orphans.length - moves.length };
     }
-    // Remove any leftover UI before creating a new instance
-    try { document.querySelector('.deepseek-timeline-bar')?.remove(); } catch {}
-    try { document.querySelector('.timeline-left-slider')?.remove(); } catch {}
-    try { document.getElementById('deepseek-timeline-tooltip')?.remove(); } catch {}
-    timelineManagerInstance = new TimelineManager();
-    timelineManagerInstance.init().catch(err => console.error("Timeline initialization failed:", err));
- }
 
-function handleUrlChange() {
-    if (location.href === currentUrl) return;
-    currentUrl = location.href;
+    findReplacementTurn(oldId, map = this.starred) {
+        const alias = this.turnIdAliases.get(oldId);
+        if (alias && this.branchInfo.has(alias)) return alias;
+        // Still a variant of a slot that shows another turn: made on a different branch
+        for (const variants of this.branchSlots.values()) {
+            if (variants.some(v => v.id === oldId)) return null;
+        }
+        const bookmark = map.get(oldId);
+        if (!bookmark?.summary) return null;
+        const matches = [];
+        for (const [id, info] of this.branchInfo) {
+            if (map.has(id)) continue;
+            const el = this.markerMap.get(id)?.element || this.conversationContainer.querySelector(`[data-turn-id="${CSS.escape(id)}"]`);
+            if (!el || (bookmark.role && el.dataset.turn !== bookmark.role)) continue;
+            // The summary was taken from the rendered text; also try it without toolbar/timestamp text
+            const texts = [this.normalizeText(el.textContent || ''), this.readTurnText(el)].map(t => t.slice(0, 200));
+            const similar = texts.some(text => (text === bookmark.summary)
+                || (Math.min(text.length, bookmark.summary.length) >= 20 && (text.startsWith(bookmark.summary) || bookmark.summary.startsWith(text))));
+            if (similar) matches.push({ id, ordinal: info.ordinal });
+        }
+        if (matches.length === 1) return matches[0].id;
+        // Repeated text ("continue"): only the turn at the remembered position qualifies
+        return matches.find(m => m.ordinal === bookmark.ordinal)?.id || null;
+    }
+
+    syncMarkerStar(id) {
+        const m = this.markerMap.get(id);
+        if (!m) return;
+        m.starred = this.starred.has(id);
+        if (m.dotElement) {
+            this.applyStarStateToDot(m);
+            this.applyBranchStateToDot(m);
+            // If tooltip is visible and anchored to this dot, update immediately
+            try { this.refreshTooltipForDot(m.dotElement); } catch {}
+        }
+    }
+
+    applyStarStateToDot(marker) {
+        const dot = marker?.dotElement;
+        if (!dot) return;
+        try {
+            const bookmark = marker.starred ? this.starred.get(marker.id) : null;
+            dot.classList.toggle('starred', !!marker.starred);
+            if (bookmark) dot.dataset.category = bookmark.category;
+            else delete dot.dataset.category;
+            // Notes live next to stars, so their indicator is refreshed with them
+            dot.classList.toggle('has-note', this.notes.has(marker.id));
+            dot.setAttribute('aria-label', this.dotAriaLabel(marker));
+        } catch {}
+    }
+
+    // Tooltip text: bookmark meta (category · label — note) ahead of the prompt summary,
+    // prefixed with the branch position when the turn has variants
+    getTooltipText(dot) {
+        const id = dot.dataset.targetTurnId;
+        // The dot's aria-label also carries its states; the tooltip shows them as prefixes instead
+        let text = (this.markerMap.get(id)?.summary || '').trim();
+        try {
+            const bookmark = id ? this.starred.get(id) : null;
+            const note = id ? this.notePlainText(this.notes.get(id)?.text) : '';
+            if (bookmark) {
+                const parts = [];
+                if (bookmark.category !== 'star') {
+                    parts.push(BOOKMARK_CATEGORIES.find(c => c.id === bookmark.category)?.label || bookmark.category);
+                }
+                if (bookmark.label) parts.push(bookmark.label);
+                const head = parts.join(' · ');
+                const pieces = [head, note ? `📝 ${note}` : '', text].filter(Boolean);
+                text = `★ ${pieces.join(' — ')}`;
+            } else {
+                if (note) text = `📝 ${note} — ${text}`;
+                if (id && this.hasStarOnOtherBranch(id)) text = `☆ Starred on another branch — ${text}`;
+            }
+            const time = (id && this.timeAxisActive) ? this.markerMap.get(id)?.time : null;
+            if (time != null) text = `${this.formatTurnTime(time)} · ${text}`;
+            const info = id ? this.branchInfo.get(id) : null;
+            if (info && info.count > 1) text = `⑂ ${info.index}/${info.count} · ${text}`;
+        } catch {}
+        return text;
+    }
+
+    // --- Time axis ---
+    // Markers are spread by when they were sent. Turns without a timestamp take their neighbour's
+    // (replies usually carry none), and pauses longer than timeAxisIdleGap grow only logarithmically.
+    applyTimeAxis() {
+        this.timeSeparators = [];
+        const times = this.timeAxis ? this.markers.map(m => this.readTurnTime(m.element)) : [];
+        const known = new Set(times.filter(t => t != null));
+        this.timeAxisActive = known.size >= 2;
+        try { this.ui.timelineBar?.classList.toggle('time-axis', this.timeAxisActive); } catch {}
+        if (!this.timeAxisActive) {
+            for (const m of this.markers) m.time = null;
+            return;
+        }
+        let last = times.find(t => t != null);
+        for (let i = 0; i < times.length; i++) {
+            // Never step back in time: clock skew would fold the track onto itself
+            if (times[i] == null || times[i] < last) times[i] = last;
+            last = times[i];
+        }
+        const idle = Math.max(60 * 1000, this.timeAxisIdleGap);
+        const offsets = [0];
+        for (let i = 1; i < times.length; i++) {
+            const gap = times[i] - times[i - 1];
+            offsets.push(offsets[i - 1] + ((gap <= idle) ? gap : idle * (1 + Math.log10(gap / idle))));
+            const day = new Date(times[i]);
+            if (new Date(times[i - 1]).toDateString() !== day.toDateString()) {
+                // Short enough to sit on the rule inside the narrow bar
+                this.timeSeparators.push({ index: i, kind: 'day', label: day.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) });
+            } else if (gap > idle) {
+                this.timeSeparators.push({ index: i, kind: 'gap', label: this.formatDuration(gap) });
+            }
+        }
+        const span = offsets[offsets.length - 1] || 1;
+        this.markers.forEach((m, i) => {
+            m.time = times[i];
+            m.n = m.baseN = offsets[i] / span;
+        });
+    }
+
+    readTurnTime(el) {
+        const text = this.extractTimestampText(el);
+        if (!text) return null;
+        const ms = Date.parse(text);
+        return Number.isFinite(ms) ? ms : null;
+    }
+
+    formatTurnTime(ms) {
+        try {
+            return new Date(ms).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        } catch {
+            return '';
+        }
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} h`;
+        return `${Math.round(hours / 24)} d`;
+    }
+
+    // Day boundaries (solid) and shortened pauses (dashed), midway between the turns they separate,
+    // labelled with the new day or the length of the pause
+    renderTimeSeparators() {
+        const host = this.ui.trackContent;
+        if (!host) return;
+        host.querySelectorAll('.timeline-time-separator').forEach(n => n.remove());
+        if (!this.timeAxisActive) return;
+        const frag = document.createDocumentFragment();
+        for (const sep of this.timeSeparators) {
+            const above = this.yPositions[sep.index - 1];
+            const below = this.yPositions[sep.index];
+            if (above == null || below == null) continue;
+            const line = document.createElement('div');
+            line.className = `timeline-time-separator ${sep.kind}`;
+            line.dataset.label = sep.label;
+            line.setAttribute('aria-hidden', 'true');
+            line.style.top = `${Math.round((above + below) / 2)}px`;
+            const label = document.createElement('span');
+            label.className = 'timeline-time-separator-label';
+            label.textContent = sep.label;
+            line.appendChild(label);
+            frag.appendChild(line);
+        }
+        host.appendChild(frag);
+    }
+
+    // --- Branch variants (edited prompts, regenerated replies) ---
+    // A slot is the position a turn fills after its parent: `u:<previous prompt id>` for prompts and
+    // `a<k>:<prompt id>` for the k-th reply element. Each distinct turn id seen in a slot is a variant.
+    // Turn ids are content-addressed, so an edited or regenerated turn is a new variant under a new id and
+    // a star stays on the variant it was made on; the same text under a new id re-keys the variant.
+    loadBranchMap() {
+        this.branchSlots.clear();
+        this.branchInfo.clear();
+        const cid = this.conversationId;
+        if (!cid) return;
+        try {
+            const raw = this.store.getItem(`deepseekTimelineBranches:${cid}`);
+            const parsed = raw ? JSON.parse(raw) : null;
+            if (!parsed || typeof parsed !== 'object') return;
+            for (const [slot, variants] of Object.entries(parsed)) {
+                if (!Array.isArray(variants)) continue;
+                const list = variants
+                    .filter(v => v && typeof v.id === 'string')
+                    .map(v => ({ id: v.id, head: String(v.head || '') }));
+                if (list.length) this.branchSlots.set(slot, list);
+            }
+        } catch {}
+    }
+
+    persistBranchMap() {
+        const cid = this.conversationId;
+        if (!cid || this.branchSlots.size === 0) return;
+        try {
+            this.store.setItem(`deepseekTimelineBranches:${cid}`, JSON.stringify(Object.fromEntries(this.branchSlots)));
+        } catch {}
+    }
+
+    // Record which variant fills every slot right now; called after annotateAllMessages()
+    updateBranchVariants() {
+        if (!this.conversationContainer) return;
+        this.branchInfo.clear();
+        let changed = false;
+        let parent = 'root';
+        let replyIndex = 0;
+        this.conversationContainer.querySelectorAll('[data-turn][data-turn-id]').forEach((el, ordinal) => {
+            const id = el.dataset.turnId;
+            const isUser = el.dataset.turn === 'user';
+            const slot = isUser ? `u:${parent}` : `a${replyIndex}:${parent}`;
+            if (isUser) { parent = id; replyIndex = 0; } else { replyIndex++; }
+            const head = this.normalizeText(el.textContent || '').slice(0, 80);
+            let variants = this.branchSlots.get(slot);
+            if (!variants) {
+                variants = [];
+                this.branchSlots.set(slot, variants);
+            }
+            let variant = variants.find(v => v.id === id);
+            if (!variant) {
+                // Same text under a new id is the same turn (re-rendered, or numbered by an older version);
+                // a reply re-rendered after streaming continues the old text. Prompts never stream, so
+                // an edit that only appends text is a real new branch.
+                variant = this.findReplacedVariant(variants, head, !isUser);
+                if (variant) {
+                    this.turnIdAliases.set(variant.id, id);
+                    variant.id = id;
+                } else {
+                    variant = { id, head };
+                    variants.push(variant);
+                    if (variants.length > this.branchVariantLimit) variants.shift();
+                }
+                changed = true;
+            }
+            if (variant.head !== head) {
+                variant.head = head;
+                changed = true;
+            }
+            this.branchInfo.set(id, { slot, index: variants.indexOf(variant) + 1, count: variants.length, ordinal });
+        });
+        while (this.branchSlots.size > this.branchSlotLimit) {
+            const oldest = this.branchSlots.keys().next();
+            if (oldest.done) break;
+            this.branchSlots.delete(oldest.value);
+            changed = true;
+        }
+        if (changed) this.persistBranchMapDebounced();
+    }
+
+    findReplacedVariant(variants, head, allowPrefix) {
+        if (!head) return null;
+        return variants.find(v => {
+            if (!v.head) return false;
+            const same = (v.head === head) || (allowPrefix && (head.startsWith(v.head) || v.head.startsWith(head)));
+            if (!same) return false;
+            return !this.conversationContainer.querySelector(`[data-turn-id="${CSS.escape(v.id)}"]`);
+        }) || null;
+    }
+
+    hasStarOnOtherBranch(id) {
+        const slot = this.branchInfo.get(id)?.slot;
+        const variants = slot ? this.branchSlots.get(slot) : null;
+        return !!variants && variants.some(v => v.id !== id && this.starred.has(v.id));
+    }
+
+    // Turn currently shown in `slot`, if any
+    findBranchOccupant(slot) {
+        if (!slot) return null;
+        for (const [id, info] of this.branchInfo) {
+            if (info.slot === slot) return id;
+        }
+        return null;
+    }
+
+    // `has-branches` when the turn (or, without assistant markers, its reply) has variants;
+    // `starred-elsewhere` when a star sits on a variant that is not shown right now
+    applyBranchStateToDot(marker) {
+        const dot = marker?.dotElement;
+        if (!dot) return;
+        try {
+            const info = this.branchInfo.get(marker.id);
+            const replies = (!this.showAssistantMarkers && marker.role === 'user') ? this.branchSlots.get(`a0:${marker.id}`) : null;
+            dot.classList.toggle('has-branches', Math.max(info?.count || 0, replies?.length || 0) > 1);
+            if (info && info.count > 1) dot.dataset.branch = `${info.index}/${info.count}`;
+            else delete dot.dataset.branch;
+            dot.classList.toggle('starred-elsewhere', !marker.starred && this.hasStarOnOtherBranch(marker.id));
+        } catch {}
+    }
+
+    // --- Bookmark editor ---
+    ensureBookmarkEditor() {
+        if (this.ui.bookmarkEditor) return this.ui.bookmarkEditor;
+        const editor = document.createElement('div');
+        editor.className = 'timeline-popover timeline-bookmark-editor';
+        editor.setAttribute('role', 'dialog');
+        editor.setAttribute('aria-label', 'Edit bookmark and note');
+        const label = document.createElement('input');
+        label.type = 'text';
+        label.className = 'timeline-bookmark-label';
+        label.placeholder = 'Label';
+        label.maxLength = 80;
+        const cats = document.createElement('div');
+        cats.className = 'timeline-bookmark-categories';
+        cats.setAttribute('role', 'radiogroup');
+        cats.setAttribute('aria-label', 'Category');
+        for (const c of BOOKMARK_CATEGORIES) {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'timeline-bookmark-category';
+            chip.dataset.category = c.id;
+            chip.setAttribute('role', 'radio');
+            chip.textContent = c.label;
+            cats.appendChild(chip);
+        }
+        const note = document.createElement('textarea');
+        note.className = 'timeline-bookmark-note';
+        note.placeholder = 'Note (Markdown), kept with or without a star';
+        note.rows = 4;
+        note.maxLength = NOTE_MAX_LENGTH;
+        const starRow = document.createElement('label');
+        starRow.className = 'timeline-bookmark-star';
+        const star = document.createElement('input');
+        star.type = 'checkbox';
+        starRow.appendChild(star);
+        starRow.appendChild(document.createTextNode(' Starred'));
+        const buttons = document.createElement('div');
+        buttons.className = 'timeline-bookmark-buttons';
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.dataset.op = 'remove';
+        remove.textContent = 'Remove';
+        const save = document.createElement('button');
+        save.type = 'button';
+        save.dataset.op = 'save';
+        save.className = 'primary';
+        save.textContent = 'Save';
+        buttons.appendChild(remove);
+        buttons.appendChild(save);
+        editor.appendChild(starRow);
+        editor.appendChild(label);
+        editor.appendChild(cats);
+        editor.appendChild(note);
+        editor.appendChild(buttons);
+
+        this.onBookmarkEditorClick = (e) => {
+            const chip = e.target.closest?.('.timeline-bookmark-category');
+            if (chip) {
+                this.selectBookmarkCategory(chip.dataset.category);
+                star.checked = true;
+                return;
+            }
+            const op = e.target.closest?.('[data-op]')?.dataset.op;
+            if (op === 'save') this.commitBookmarkEditor();
+            else if (op === 'remove') {
+                this.removeBookmark(this.bookmarkEditorTurnId);
+                this.setTurnNote(this.bookmarkEditorTurnId, '');
+                this.closeBookmarkEditor();
+            }
+        };
+        this.onBookmarkEditorKeyDown = (e) => {
+            // Keep keystrokes away from page-level handlers while editing
+            try { e.stopPropagation(); } catch {}
+            if (e.key === 'Escape') {
+                try { e.preventDefault(); } catch {}
+                this.closeBookmarkEditor();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey || e.target === label)) {
+                try { e.preventDefault(); } catch {}
+                this.commitBookmarkEditor();
+            }
+        };
+        editor.addEventListener('click', this.onBookmarkEditorClick);
+        editor.addEventListener('keydown', this.onBookmarkEditorKeyDown);
+        document.body.appendChild(editor);
+        this.ui.bookmarkEditor = editor;
+        return editor;
+    }
+
+    selectBookmarkCategory(category) {
+        const editor = this.ui.bookmarkEditor;
+        if (!editor) return;
+        editor.dataset.category = category;
+        editor.querySelectorAll('.timeline-bookmark-category').forEach(chip => {
+            const on = chip.dataset.category === category;
+            chip.classList.toggle('selected', on);
+            chip.setAttribute('aria-checked', on ? 'true' : 'false');
+        });
+    }
+
+    // `focus: 'note'` opens it for writing a note: the star box starts unchecked on unstarred turns
+    openBookmarkEditor(turnId, anchorDot, { focus = 'label' } = {}) {
+        const id = String(turnId || '');
+        if (!id) return;
+        this.closeExportMenu();
+        this.cancelPreview();
+        const editor = this.ensureBookmarkEditor();
+        const bookmark = this.starred.get(id) || this.normalizeBookmark({});
+        this.bookmarkEditorTurnId = id;
+        editor.querySelector('.timeline-bookmark-star input').checked = this.starred.has(id) || focus !== 'note';
+        editor.querySelector('.timeline-bookmark-label').value = bookmark.label;
+        editor.querySelector('.timeline-bookmark-note').value = this.notes.get(id)?.text || '';
+        this.selectBookmarkCategory(bookmark.category);
+        editor.querySelector('[data-op="remove"]').disabled = !this.starred.has(id) && !this.notes.has(id);
+        editor.classList.add('visible');
+        this.hideTooltip(true);
+        this.placeBookmarkEditor(anchorDot);
+        this.onBookmarkEditorOutsideDown = (e) => {
+            if (e.target.closest?.('.timeline-bookmark-editor')) return;
+            this.closeBookmarkEditor();
+        };
+        try { document.addEventListener('pointerdown', this.onBookmarkEditorOutsideDown, true); } catch {}
+        try { editor.querySelector((focus === 'note') ? '.timeline-bookmark-note' : '.timeline-bookmark-label').focus(); } catch {}
+    }
+
+    // Beside the dot when it is rendered, otherwise beside the bar's top edge
+    placeBookmarkEditor(anchorDot) {
+        const editor = this.ui.bookmarkEditor;
+        if (!editor || !this.ui.timelineBar) return;
+        const barRect = this.ui.timelineBar.getBoundingClientRect();
+        const anchorRect = (anchorDot && anchorDot.isConnected) ? anchorDot.getBoundingClientRect() : barRect;
+        const w = editor.offsetWidth || 240;
+        const h = editor.offsetHeight || 180;
+        const left = (this.contentSide() === 'left')
+            ? Math.max(8, Math.round(barRect.left - 12 - w))
+            : Math.min(window.innerWidth - w - 8, Math.round(barRect.right + 12));
+        const center = (anchorRect === barRect) ? barRect.top + h / 2 : anchorRect.top + anchorRect.height / 2;
+        const top = Math.max(8, Math.min(window.innerHeight - h - 8, Math.round(center - h / 2)));
+        editor.style.left = `${left}px`;
+        editor.style.top = `${top}px`;
+    }
+
+    commitBookmarkEditor() {
+        const editor = this.ui.bookmarkEditor;
+        const id = this.bookmarkEditorTurnId;
+        if (!editor || !id) return;
+        const label = editor.querySelector('.timeline-bookmark-label').value;
+        // A label is only kept on a star, so typing one stars the turn
+        if (editor.querySelector('.timeline-bookmark-star input').checked || label.trim()) {
+            this.setBookmark(id, { label, category: editor.dataset.category || 'star' });
+        } else {
+            this.removeBookmark(id);
+        }
+        this.setTurnNote(id, editor.querySelector('.timeline-bookmark-note').value);
+        this.closeBookmarkEditor();
+    }
+
+    closeBookmarkEditor() {
+        if (this.onBookmarkEditorOutsideDown) {
+            try { document.removeEventListener('pointerdown', this.onBookmarkEditorOutsideDown, true); } catch {}
+            this.onBookmarkEditorOutsideDown = null;
+        }
+        this.ui.bookmarkEditor?.classList.remove('visible');
+        this.bookmarkEditorTurnId = null;
+    }
+
+    // --- Action buttons ---
+    ensureActionButton(name, glyph, label) {
+        if (!this.ui.actions) return null;
+        let btn = this.ui.actions.querySelector(`.timeline-action[data-action="${name}"]`);
+        if (!btn) {
+            btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'timeline-action';
+            btn.dataset.action = name;
+            btn.textContent = glyph;
+            btn.setAttribute('aria-label', label);
+            btn.title = label;
+            this.ui.actions.appendChild(btn);
+        }
+        return btn;
+    }
+
+    handleAction(name, btn) {
+        switch (name) {
+            case 'search':
+                if (this.ui.searchPanel?.classList.contains('visible')) this.closeSearch();
+                else this.openSearch();
+                break;
+            case 'export':
+                if (this.ui.exportMenu?.classList.contains('visible')) this.closeExportMenu();
+                else this.openExportMenu();
+                break;
+            case 'bookmarks':
+                if (this.ui.bookmarksPanel?.classList.contains('visible')) this.closeBookmarksPanel();
+                else this.openBookmarksPanel();
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Keep the action column and popovers glued to the bar's top corner on the conversation side
+    positionFloatingControls() {
+        if (!this.ui.timelineBar) return;
+        const barRect = this.ui.timelineBar.getBoundingClientRect();
+        const gap = 8;
+        const side = this.contentSide();
+        let actionsLeft = barRect.left;
+        let actionsRight = barRect.right;
+        if (this.ui.actions) {
+            const w = this.ui.actions.offsetWidth || 22;
+            actionsLeft = (side === 'left') ? Math.round(barRect.left - gap - w) : Math.round(barRect.right + gap);
+            actionsRight = actionsLeft + w;
+            this.ui.actions.style.left = `${actionsLeft}px`;
+            this.ui.actions.style.top = `${Math.round(barRect.top)}px`;
+        }
+        // Each open popover sits beside the action button that owns it
+        document.querySelectorAll('.timeline-popover[data-action].visible').forEach(pop => {
+            const btn = this.ui.actions?.querySelector(`.timeline-action[data-action="${pop.dataset.action}"]`);
+            const top = btn ? btn.getBoundingClientRect().top : barRect.top;
+            const w = pop.offsetWidth || 240;
+            const left = (side === 'left')
+                ? Math.max(8, Math.round(actionsLeft - gap - w))
+                : Math.min(window.innerWidth - w - 8, Math.round(actionsRight + gap));
+            pop.style.left = `${left}px`;
+            pop.style.top = `${Math.round(top)}px`;
+        });
+    }
+
+    // --- Search/filter ---
+    ensureSearchPanel() {
+        if (this.ui.searchPanel) return this.ui.searchPanel;
+        const panel = document.createElement('div');
+        panel.className = 'timeline-popover timeline-search';
+        panel.dataset.action = 'search';
+        panel.setAttribute('role', 'search');
+        const input = document.createElement('input');
+        input.type = 'search';
+        input.className = 'timeline-search-input';
+        input.placeholder = 'Search prompts…';
+        input.setAttribute('aria-label', 'Search timeline');
+        const counter = document.createElement('span');
+        counter.className = 'timeline-search-counter';
+        counter.setAttribute('aria-live', 'polite');
+        const replies = document.createElement('label');
+        replies.className = 'timeline-search-replies';
+        const repliesBox = document.createElement('input');
+        repliesBox.type = 'checkbox';
+        repliesBox.checked = this.searchIncludeReplies;
+        replies.appendChild(repliesBox);
+        replies.appendChild(document.createTextNode(' Include replies'));
+        panel.appendChild(input);
+        panel.appendChild(counter);
+        panel.appendChild(replies);
+        document.body.appendChild(panel);
+
+        this.onSearchInput = () => this.debouncedRunSearch();
+        this.onSearchKeyDown = (e) => {
+            // Keep keystrokes away from page-level handlers while typing here
+            try { e.stopPropagation(); } catch {}
+            if (e.key === 'Enter') {
+                try { e.preventDefault(); } catch {}
+                this.runSearch();
+                this.stepSearch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                try { e.preventDefault(); } catch {}
+                this.closeSearch();
+            }
+        };
+        this.onSearchRepliesChange = () => {
+            this.searchIncludeReplies = repliesBox.checked;
+            this.runSearch();
+        };
+        input.addEventListener('input', this.onSearchInput);
+        input.addEventListener('keydown', this.onSearchKeyDown);
+        repliesBox.addEventListener('change', this.onSearchRepliesChange);
+
+        this.ui.searchPanel = panel;
+        this.ui.searchInput = input;
+        this.ui.searchCounter = counter;
+        return panel;
+    }
+
+    openSearch() {
+        this.closeExportMenu();
+        this.closeBookmarksPanel();
+        const panel = this.ensureSearchPanel();
+        panel.classList.add('visible');
+        this.ui.actions?.querySelector('[data-action="search"]')?.classList.add('active');
+        this.positionFloatingControls();
+        try { this.ui.searchInput.focus(); this.ui.searchInput.select(); } catch {}
+        this.runSearch();
+    }
+
+    closeSearch() {
+        if (this.ui.searchPanel) this.ui.searchPanel.classList.remove('visible');
+        this.ui.actions?.querySelector('[data-action="search"]')?.classList.remove('active');
+        if (this.ui.searchInput) this.ui.searchInput.value = '';
+        this.runSearch();
+    }
+
+    // Map each user turn id to the assistant reply elements that follow it
+    collectReplyElements() {
+        const replies = new Map();
+        if (!this.conversationContainer) return replies;
+        let currentId = null;
+        this.conversationContainer.querySelectorAll('[data-turn][data-turn-id]').forEach(el => {
+            if (el.dataset.turn === 'user') {
+                currentId = el.dataset.turnId;
+            } else if (currentId && el.dataset.turn === 'assistant') {
+                if (!replies.has(currentId)) replies.set(currentId, []);
+                replies.get(currentId).push(el);
+            }
+        });
+        return replies;
+    }
+
+    // Map each user turn id to the text of the assistant replies that follow it
+    collectReplyTexts() {
+        const texts = new Map();
+        for (const [id, els] of this.collectReplyElements()) {
+            texts.set(id, els.map(el => this.normalizeText(el.textContent || '')).join(' '));
+        }
+        return texts;
+    }
+
+    runSearch() {
+        const raw = this.ui.searchInput ? this.ui.searchInput.value : '';
+        const query = this.normalizeText(raw).toLowerCase();
+        const prevId = this.searchHits[this.searchCursor] || null;
+        this.searchQuery = query;
+        this.searchHits = [];
+        this.searchHitSet.clear();
+        if (query) {
+            const terms = query.split(' ').filter(Boolean);
+            const replies = this.searchIncludeReplies ? this.collectReplyTexts() : null;
+            for (const m of this.markers) {
+                let hay = m.summary || '';
+                if (replies && m.role !== 'assistant') hay += ` ${replies.get(m.id) || ''}`;
+                hay = hay.toLowerCase();
+                if (terms.every(t => hay.includes(t))) {
+                    this.searchHits.push(m.id);
+                    this.searchHitSet.add(m.id);
+                }
+            }
+        }
+        this.searchCursor = prevId ? this.searchHits.indexOf(prevId) : -1;
+        this.markers.forEach(m => this.applySearchStateToDot(m));
+        this.updateSearchCounter();
+    }
+
+    stepSearch(dir) {
+        const len = this.searchHits.length;
+        if (len === 0) return;
+        this.searchCursor = (this.searchCursor < 0)
+            ? (dir > 0 ? 0 : len - 1)
+            : (this.searchCursor + dir + len) % len;
+        const m = this.markerMap.get(this.searchHits[this.searchCursor]);
+        if (m?.element) this.smoothScrollTo(m.element);
+        this.markers.forEach(mk => this.applySearchStateToDot(mk));
+        this.updateSearchCounter();
+    }
+
+    updateSearchCounter() {
+        const counter = this.ui.searchCounter;
+        if (!counter) return;
+        const len = this.searchHits.length;
+        if (!this.searchQuery) counter.textContent = '';
+        else if (len === 0) counter.textContent = '0/0';
+        else counter.textContent = `${this.searchCursor >= 0 ? this.searchCursor + 1 : 0}/${len}`;
+        counter.classList.toggle('empty', !!this.searchQuery && len === 0);
+    }
+
+    applySearchStateToDot(marker) {
+        const dot = marker?.dotElement;
+        if (!dot) return;
+        try {
+            const active = !!this.searchQuery;
+            const hit = active && this.searchHitSet.has(marker.id);
+            dot.classList.toggle('dimmed', active && !hit);
+            dot.classList.toggle('search-hit', hit);
+            dot.classList.toggle('search-current', hit && this.searchHits[this.searchCursor] === marker.id);
+        } catch {}
+    }
+
+    // --- Export (Markdown / JSON, all or starred only) ---
+    ensureExportMenu() {
+        if (this.ui.exportMenu) return this.ui.exportMenu;
+        const menu = document.createElement('div');
+        menu.className = 'timeline-popover timeline-export-menu';
+        menu.dataset.action = 'export';
+        menu.setAttribute('role', 'menu');
+        const items = [
+            { format: 'markdown', starredOnly: false, label: 'Markdown' },
+            { format: 'json', starredOnly: false, label: 'JSON' },
+            { format: 'markdown', starredOnly: true, label: 'Starred only · Markdown' },
+            { format: 'json', starredOnly: true, label: 'Starred only · JSON' }
+        ];
+        for (const item of items) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'timeline-export-item';
+            btn.setAttribute('role', 'menuitem');
+            btn.dataset.format = item.format;
+            if (item.starredOnly) btn.dataset.starredOnly = '1';
+            btn.textContent = item.label;
+            menu.appendChild(btn);
+        }
+        this.onExportMenuClick = (e) => {
+            const btn = e.target.closest?.('.timeline-export-item');
+            if (!btn) return;
+            this.closeExportMenu();
+            this.exportConversation(btn.dataset.format, { starredOnly: btn.dataset.starredOnly === '1' });
+        };
+        menu.addEventListener('click', this.onExportMenuClick);
+        document.body.appendChild(menu);
+        this.ui.exportMenu = menu;
+        return menu;
+    }
+
+    openExportMenu() {
+        if (this.ui.searchPanel?.classList.contains('visible')) this.closeSearch();
+        this.closeBookmarksPanel();
+        const menu = this.ensureExportMenu();
+        menu.classList.add('visible');
+        this.ui.actions?.querySelector('[data-action="export"]')?.classList.add('active');
+        this.positionFloatingControls();
+        // Dismiss on any press outside the menu and its button
+        this.onExportOutsideDown = (e) => {
+            if (e.target.closest?.('.timeline-export-menu, .timeline-action[data-action="export"]')) return;
+            this.closeExportMenu();
+        };
+        try { document.addEventListener('pointerdown', this.onExportOutsideDown, true); } catch {}
+    }
+
+    closeExportMenu() {
+        if (this.onExportOutsideDown) {
+            try { document.removeEventListener('pointerdown', this.onExportOutsideDown, true); } catch {}
+            this.onExportOutsideDown = null;
+        }
+        this.ui.exportMenu?.classList.remove('visible');
+        this.ui.actions?.querySelector('[data-action="export"]')?.classList.remove('active');
+    }
+
+    // Walk every role-tagged message in document order
+    collectExportTurns() {
+        if (!this.conversationContainer) return [];
+        this.annotateAllMessages();
+        const turns = [];
+        this.conversationContainer.querySelectorAll('[data-turn][data-turn-id]').forEach(el => {
+            const role = (el.dataset.turn === 'user') ? 'user' : 'assistant';
+            const id = el.dataset.turnId;
+            turns.push({
+                id,
+                role,
+                element: el,
+                timestamp: this.extractTimestampText(el) || null,
+                starred: this.starred.has(id),
+                note: this.notes.get(id)?.text || ''
+            });
+        });
+        return turns;
+    }
+
+    // Starred-only keeps starred turns plus the replies that answer a starred prompt
+    filterStarredTurns(turns) {
+        const out = [];
+        let keepReplies = false;
+        for (const t of turns) {
+            if (t.role === 'user') keepReplies = t.starred;
+            if (t.starred || (t.role === 'assistant' && keepReplies)) out.push(t);
+        }
+        return out;
+    }
+
+    buildExportMarkdown(turns) {
+        const title = this.normalizeText(document.title || '') || 'DeepSeek conversation';
+        const lines = [`# ${title}`, '', `> Exported ${new Date().toISOString()} from ${location.href}`, ''];
+        for (const t of turns) {
+            const heading = (t.role === 'user') ? 'User' : 'Assistant';
+            const label = t.starred ? this.starred.get(t.id)?.label : '';
+            lines.push(`## ${t.starred ? '★ ' : ''}${heading}${label ? ` — ${label}` : ''}`);
+            if (t.timestamp) lines.push('', `_${t.timestamp}_`);
+            if (t.note) lines.push('', ...t.note.split('\n').map((l, i) => `> ${i === 0 ? '📝 ' : ''}${l}`.trimEnd()));
+            lines.push('', this.renderMessageMarkdown(t.element), '', '---', '');
+        }
+        return lines.join('\n');
+    }
+
+    buildExportJSON(turns) {
+        const data = {
+            format: 'deepseek-timeline-export',
+            version: 1,
+            conversationId: this.conversationId,
+            title: this.normalizeText(document.title || ''),
+            url: location.href,
+            exportedAt: new Date().toISOString(),
+            turns: turns.map(t => ({
+                id: t.id,
+                role: t.role,
+                text: this.renderMessageText(t.element),
+                timestamp: t.timestamp,
+                starred: t.starred,
+                bookmark: t.starred ? this.starred.get(t.id) : undefined,
+                note: t.note || undefined
+            }))
+        };
+        return JSON.stringify(data, null, 2);
+    }
+
+    exportConversation(format = 'markdown', { starredOnly = false } = {}) {
+        let turns = this.collectExportTurns();
+        if (starredOnly) turns = this.filterStarredTurns(turns);
+        const isJSON = (format === 'json');
+        const body = isJSON ? this.buildExportJSON(turns) : this.buildExportMarkdown(turns);
+        const date = new Date().toISOString().slice(0, 10);
+        const name = `${this.site.id}-${this.conversationId || 'conversation'}${starredOnly ? '-starred' : ''}-${date}.${isJSON ? 'json' : 'md'}`;
+        this.downloadFile(name, body, isJSON ? 'application/json' : 'text/markdown');
+    }
+
+    // Local download via a Blob URL; nothing leaves the browser
+    downloadFile(filename, content, mime) {
+        try {
+            const blob = new Blob([content], { type: `${mime};charset=utf-8` });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.style.display = 'none';
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => { try { URL.revokeObjectURL(url); } catch {} }, 1000);
+        } catch (err) {
+            console.error('Timeline export failed:', err);
+        }
+    }
+
+    // Copy buttons, icons and our own UI are page chrome, not message content
+    isExportChrome(el) {
+        return el.matches('button, svg, style, script, [aria-hidden="true"], .katex-html')
+            || !!el.closest('.timeline-track, .timeline-tooltip, .timeline-left-slider');
+    }
+
+    detectCodeLanguage(codeEl) {
+        const cls = `${codeEl.className || ''} ${codeEl.parentElement?.className || ''}`;
+        const match = cls.match(/(?:language|lang)-([\w+#-]+)/i);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    renderMessageMarkdown(el) {
+        return this.tidyExportText(this.renderExportNode(el, false));
+    }
+
+    renderMessageText(el) {
+        return this.tidyExportText(this.renderExportNode(el, true));
+    }
+
+    // Collapse runs of blank lines outside fenced code, leaving code blocks untouched. A block closes
+    // on a fence as long as the one that opened it; split() yields [text, block, fence run, text, ...]
+    tidyExportText(text) {
+        return String(text || '')
+            .split(/((`{3,})[^\n`]*\n[\s\S]*?\n\2(?!`))/)
+            .map((part, i) => {
+                if (i % 3 === 1) return part;
+                if (i % 3 === 2) return '';
+                return part.replace(/[ \t]+\n/g, '\n').replace(/\n[ \t]+/g, '\n').replace(/\n{3,}/g, '\n\n');
+            })
+            .join('')
+            .trim();
+    }
+
+    // Enough backticks to delimit `text`: one more than its longest backtick run, and at least `min`
+    backtickFence(text, min) {
+        const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+        return '`'.repeat(Math.max(min, longest + 1));
+    }
+
+    renderExportNode(node, plain) {
+        if (node.nodeType === Node.TEXT_NODE) return (node.nodeValue || '').replace(/\s+/g, ' ');
+        if (!(node instanceof Element)) return '';
+        if (this.isExportChrome(node)) return '';
+        const tag = node.tagName.toLowerCase();
+        if (tag === 'pre') {
+            const code = node.querySelector('code') || node;
+            const body = (code.textContent || '').replace(/\n+$/, '');
+            if (plain) return `\n${body}\n`;
+            const fence = this.backtickFence(body, 3);
+            return `\n\n${fence}${this.detectCodeLanguage(code)}\n${body}\n${fence}\n\n`;
+        }
+        if (tag === 'br') return '\n';
+        if (node.classList.contains('katex')) {
+            const tex = node.querySelector('annotation[encoding="application/x-tex"]')?.textContent || node.textContent || '';
+            return plain ? tex : `$${tex.trim()}$`;
+        }
+        const inner = Array.from(node.childNodes).map(c => this.renderExportNode(c, plain)).join('');
+        const block = /^(p|div|section|article|blockquote|ul|ol|li|h[1-6]|table|tr|hr)$/.test(tag);
+        if (plain) {
+            if (tag === 'li') return `\n- ${inner.trim()}`;
+            if (tag === 'td' || tag === 'th') return `${inner.trim()}\t`;
+            return block ? `\n${inner}\n` : inner;
+        }
+        switch (tag) {
+            case 'code': {
+                const fence = this.backtickFence(inner, 1);
+                // A backtick at either end would merge with the delimiter
+                const pad = /^`|`$/.test(inner) ? ' ' : '';
+                return `${fence}${pad}${inner}${pad}${fence}`;
+            }
+            case 'strong':
+            case 'b': return inner.trim() ? `**${inner.trim()}**` : inner;
+            case 'em':
+            case 'i': return inner.trim() ? `*${inner.trim()}*` : inner;
+            case 'a': {
+                const href = node.getAttribute('href');
+                return href ? `[${inner.trim()}](${href})` : inner;
+            }
+            case 'hr': return '\n\n---\n\n';
+            case 'li': {
+                const parent = node.parentElement;
+                if (parent && parent.tagName.toLowerCase() === 'ol') {
+                    const index = Array.prototype.indexOf.call(parent.children, node) + 1;
+                    return `\n${index}. ${inner.trim()}`;
+                }
+                return `\n- ${inner.trim()}`;
+            }
+            case 'blockquote':
+                return `\n\n${inner.trim().split('\n').map(l => `> ${l}`).join('\n')}\n\n`;
+            case 'table': return `\n\n${this.renderTableMarkdown(node)}\n\n`;
+            default: {
+                const heading = tag.match(/^h([1-6])$/);
+                if (heading) return `\n\n${'#'.repeat(Number(heading[1]))} ${inner.trim()}\n\n`;
+                return block ? `\n\n${inner}\n\n` : inner;
+            }
+        }
+    }
+
+    renderTableMarkdown(table) {
+        const rows = Array.from(table.querySelectorAll('tr')).map(tr =>
+            Array.from(tr.children).map(cell => this.tidyExportText(this.renderExportNode(cell, false)).replace(/\n+/g, ' ').replace(/\|/g, '\\|'))
+        );
+        if (!rows.length) return '';
+        const width = Math.max(...rows.map(r => r.length));
+        const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+        const out = [line(rows[0]), line(new Array(width).fill('---'))];
+        for (let i = 1; i < rows.length; i++) out.push(line(rows[i]));
+        return out.join('\n');
+    }
+
+    // --- Cross-conversation bookmarks panel ---
+    // Every bookmarked conversation in storage, most recently bookmarked first
+    collectAllBookmarks() {
+        const groups = [];
+        try {
+            for (const key of this.store.keys('deepseekTimelineStars:')) {
+                const cid = key.slice('deepseekTimelineStars:'.length);
+                const raw = this.store.getItem(key);
+                const map = this.parseBookmarks(raw);
+                if (!map || map.size === 0) continue;
+                const meta = this.readBookmarkMeta(raw);
+                const notes = this.parseNotes(this.store.getItem(`deepseekTimelineNotes:${cid}`));
+                const items = Array.from(map, ([turnId, b]) => ({ turnId, ...b, note: notes.get(turnId)?.text || b.note }))
+                    .sort((a, b) => b.createdAt - a.createdAt);
+                groups.push({ cid, title: meta.title, url: meta.url, items, latest: items[0].createdAt });
+            }
+        } catch {}
+        return groups.sort((a, b) => b.latest - a.latest);
+    }
+
+    ensureBookmarksPanel() {
+        if (this.ui.bookmarksPanel) return this.ui.bookmarksPanel;
+        const panel = document.createElement('div');
+        panel.className = 'timeline-popover timeline-bookmarks-panel';
+        panel.dataset.action = 'bookmarks';
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', 'Bookmarks in all conversations');
+        this.onBookmarksPanelClick = (e) => {
+            if (e.target.closest?.('.timeline-bookmarks-close')) { this.closeBookmarksPanel(); return; }
+            const item = e.target.closest?.('.timeline-bookmarks-item');
+            if (item) this.jumpToBookmark(item.dataset.cid, item.dataset.turnId, item.dataset.url, item.dataset.slot);
+        };
+        panel.addEventListener('click', this.onBookmarksPanelClick);
+        document.body.appendChild(panel);
+        this.ui.bookmarksPanel = panel;
+        return panel;
+    }
+
+    openBookmarksPanel() {
+        if (this.ui.searchPanel?.classList.contains('visible')) this.closeSearch();
+        this.closeExportMenu();
+        const panel = this.ensureBookmarksPanel();
+        this.renderBookmarksPanel();
+        panel.classList.add('visible');
+        this.ui.actions?.querySelector('[data-action="bookmarks"]')?.classList.add('active');
+        this.positionFloatingControls();
+    }
+
+    closeBookmarksPanel() {
+        this.ui.bookmarksPanel?.classList.remove('visible');
+        this.ui.actions?.querySelector('[data-action="bookmarks"]')?.classList.remove('active');
+    }
+
+    renderBookmarksPanel() {
+        const panel = this.ui.bookmarksPanel;
+        if (!panel) return;
+        panel.textContent = '';
+        const header = document.createElement('div');
+        header.className = 'timeline-bookmarks-header';
+        const heading = document.createElement('span');
+        heading.textContent = 'Bookmarks';
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'timeline-bookmarks-close';
+        close.setAttribute('aria-label', 'Close');
+        close.textContent = '×';
+        header.appendChild(heading);
+        header.appendChild(close);
+        panel.appendChild(header);
+
+        const groups = this.collectAllBookmarks();
+        if (!groups.length) {
+            const empty = document.createElement('div');
+            empty.className = 'timeline-bookmarks-empty';
+            empty.textContent = 'No bookmarks yet. Long-press a dot to star a message.';
+            panel.appendChild(empty);
+            return;
+        }
+        const list = document.createElement('div');
+        list.className = 'timeline-bookmarks-list';
+        for (const group of groups) {
+            const section = document.createElement('section');
+            section.className = 'timeline-bookmarks-group';
+            if (group.cid === this.conversationId) section.classList.add('current');
+            const title = document.createElement('div');
+            title.className = 'timeline-bookmarks-title';
+            title.textContent = group.title || group.cid;
+            section.appendChild(title);
+            for (const item of group.items) {
+                const row = document.createElement('button');
+                row.type = 'button';
+                row.className = 'timeline-bookmarks-item';
+                row.dataset.cid = group.cid;
+                row.dataset.turnId = item.turnId;
+                row.dataset.url = group.url;
+                row.dataset.category = item.category;
+                if (item.slot) row.dataset.slot = item.slot;
+                const text = document.createElement('span');
+                text.className = 'timeline-bookmarks-text';
+                text.textContent = item.label || item.summary || item.turnId;
+                const date = document.createElement('span');
+                date.className = 'timeline-bookmarks-date';
+                try { date.textContent = new Date(item.createdAt).toLocaleDateString(); } catch {}
+                // Starred on a branch that is not the one on screen
+                if (group.cid === this.conversationId && !this.markerMap.has(item.turnId) && this.findBranchOccupant(item.slot)) {
+                    row.classList.add('other-branch');
+                    date.textContent = `Other branch · ${date.textContent}`;
+                }
+                row.appendChild(text);
+                row.appendChild(date);
+                const detail = [item.label ? item.summary : '', item.note].filter(Boolean).join('\n\n');
+                if (detail) row.title = detail;
+                if (!group.url && group.cid !== this.conversationId) row.disabled = true;
+                section.appendChild(row);
+            }
+            list.appendChild(section);
+        }
+        panel.appendChild(list);
+    }
+
+    // Same conversation: scroll now. Otherwise navigate and let the next init() finish the jump.
+    jumpToBookmark(cid, turnId, url, slot = '') {
+        if (!turnId) return;
+        if (cid === this.conversationId) {
+            this.closeBookmarksPanel();
+            this.pendingJump = { turnId, slot, expires: Date.now() + 15000 };
+            this.consumePendingJump();
+            return;
+        }
+        if (!url) return;
+        try { sessionStorage.setItem('deepseekTimelinePendingJump', JSON.stringify({ cid, turnId, slot, url, at: Date.now() })); } catch {}
+        location.assign(url);
+    }
+
+    // Scroll to a requested turn once it exists; retried from recalc while lazy history loads
+    consumePendingJump() {
+        if (!this.pendingJump) {
+            try {
+                const raw = sessionStorage.getItem('deepseekTimelinePendingJump');
+                if (!raw) return;
+                const req = JSON.parse(raw);
+                if (!req || Date.now() - (req.at || 0) > 60000) {
+                    sessionStorage.removeItem('deepseekTimelinePendingJump');
+                    return;
+                }
+                // Not our conversation (yet): leave the request for the instance that owns it
+                if (req.cid !== this.conversationId && req.url !== this.currentConversationMeta().url) return;
+                sessionStorage.removeItem('deepseekTimelinePendingJump');
+                this.pendingJump = { turnId: String(req.turnId), slot: String(req.slot || ''), expires: Date.now() + 15000 };
+            } catch { return; }
+        }
+        if (Date.now() > this.pendingJump.expires) { this.pendingJump = null; return; }
+        const marker = this.markerMap.get(this.pendingJump.turnId);
+        let el = marker?.element || this.conversationContainer?.querySelector(`[data-turn-id="${CSS.escape(this.pendingJump.turnId)}"]`);
+        if (!el) {
+            // The bookmarked variant is not the branch on screen: land on the turn that replaced it
+            const occupant = this.findBranchOccupant(this.pendingJump.slot);
+            el = occupant ? this.conversationContainer?.querySelector(`[data-turn-id="${CSS.escape(occupant)}"]`) : null;
+        }
+        if (!el) return;
+        this.pendingJump = null;
+        this.smoothScrollTo(el);
+    }
+
+    // --- Minimap density ---
+    // weight in [0, 1]: log-scaled text length plus a bonus per code block, relative to the heaviest turn.
+    // A user marker also carries its replies unless those have markers of their own.
+    computeMarkerWeights() {
+        const replies = this.showAssistantMarkers ? null : this.collectReplyElements();
+        for (const m of this.markers) {
+            this.measureMarker(m, [m.element, ...((replies && m.role !== 'assistant') ? (replies.get(m.id) || []) : [])]);
+        }
+        this.applyMarkerWeights();
+    }
+
+    measureMarker(m, els) {
+        const codeBonus = 600; // chars a code block "weighs"
+        let chars = 0;
+        let codeBlocks = 0;
+        for (const el of els) {
+            chars += (el.textContent || '').length;
+            codeBlocks += el.querySelectorAll('pre').length;
+        }
+        m.chars = chars;
+        m.codeBlocks = codeBlocks;
+        m.size = chars + codeBlocks * codeBonus;
+    }
+
+    applyMarkerWeights() {
+        let max = 0;
+        for (const m of this.markers) if (m.size > max) max = m.size;
+        const denom = Math.log1p(max) || 1;
+        for (const m of this.markers) m.weight = Math.log1p(m.size || 0) / denom;
+    }
+
+    // Re-measure only the streaming marker; the others keep their sizes but may rescale
+    updateTailWeight(marker) {
+        const start = this.turnElements.indexOf(marker.element);
+        const replies = (marker.role === 'assistant' || start < 0)
+            ? []
+            : this.turnElements.slice(start + 1).filter(el => el.dataset.turn === 'assistant');
+        this.measureMarker(marker, [marker.element, ...replies]);
+        this.applyMarkerWeights();
+        for (const m of this.markers) {
+            if (!m.dotElement || m.weight == null) continue;
+            try { m.dotElement.style.setProperty('--w', m.weight.toFixed(3)); } catch {}
+        }
+    }
+
+    // --- Popup support (runtime messaging) ---
+    // Prompts only: reply markers (when shown) are not turns of their own
+    userTurnMarkers() {
+        return this.markers.filter(m => m.role !== 'assistant');
+    }
+
+    // 1-based number of the turn `marker` belongs to (a reply counts as the prompt it answers), or 0
+    turnNumberOf(marker) {
+        let n = 0;
+        for (const m of this.markers) {
+            if (m.role !== 'assistant') n++;
+            if (m === marker) return n;
+        }
+        return 0;
+    }
+
+    // Positions count prompts only; a reply marker names the turn it answers
+    turnPositionLabel(marker) {
+        const number = this.turnNumberOf(marker);
+        return marker.role === 'assistant' ? `Reply to turn ${number}` : `Turn ${number} of ${this.userTurnMarkers().length}`;
+    }
+
+    getSummary() {
+        const turns = this.userTurnMarkers();
+        const active = this.markerMap.get(this.activeTurnId) || null;
+        const number = active ? this.turnNumberOf(active) : 0;
+        return {
+            available: true,
+            enabled: true,
+            title: this.normalizeText(document.title || ''),
+            turnCount: turns.length,
+            starredCount: this.starred.size,
+            active: number ? {
+                index: number,
+                total: turns.length,
+                summary: (active.summary || '').slice(0, 160),
+                starred: !!active.starred
+            } : null
+        };
+    }
+
+    clearStars() {
+        if (this.starred.size === 0) return;
+        const ids = Array.from(this.starred.keys());
+        this.starred.clear();
+        this.saveStars();
+        ids.forEach(id => this.syncMarkerStar(id));
+    }
+
+    jumpToEdge(which) {
+        const list = this.userTurnMarkers();
+        const m = (which === 'first') ? list[0] : list[list.length - 1];
+        if (!m?.element) return Promise.resolve();
+        // The active turn follows the scroll position, so re-read it where the jump landed
+        return this.smoothScrollTo(m.element).then(() => this.computeActiveByScroll());
+    }
+
+    // --- Keyboard navigation ---
+    // True when keystrokes belong to an editor (prompt textarea, inputs, contenteditable)
+    isEditableTarget(el) {
+        if (!(el instanceof Element)) return false;
+        if (el.closest('textarea, input, select, [contenteditable=""], [contenteditable="true"], [role="textbox"]')) return true;
+        return el instanceof HTMLElement && el.isContentEditable;
+    }
+
+    handleShortcutKey(e) {
+        if (!e || !e.altKey || e.ctrlKey || e.metaKey || e.isComposing) return;
+        if (this.isEditableTarget(e.target) || this.isEditableTarget(document.activeElement)) return;
+        if (this.markers.length === 0) return;
+        let handled = false;
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            const step = (e.key === 'ArrowUp') ? -1 : 1;
+            handled = this.navigateRelative(step, { starredOnly: e.shiftKey });
+        } else if (e.code === 'KeyF' && !e.shiftKey) {
+            this.openSearch();
+            handled = true;
+        } else if ((e.code === 'KeyB' || e.code === 'KeyN') && !e.shiftKey) {
+            const m = this.markerMap.get(this.activeTurnId);
+            if (m) {
+                this.openBookmarkEditor(m.id, m.dotElement, { focus: (e.code === 'KeyN') ? 'note' : 'label' });
+                handled = true;
+            }
+        } else if (e.code === 'KeyS' && !e.shiftKey) {
+            // Match by physical key: Alt+S yields "ß" on macOS layouts
+            if (this.activeTurnId) {
+                this.toggleStar(this.activeTurnId);
+                handled = true;
+            }
+        }
+        if (handled) {
+            try { e.preventDefault(); e.stopPropagation(); } catch {}
+        }
+    }
+
+    // Jump to the previous/next marker relative to the active one; returns true if it scrolled
+    navigateRelative(step, { starredOnly = false } = {}) {
+        const len = this.markers.length;
+        if (len === 0) return false;
+        let index = this.markers.findIndex(m => m.id === this.activeTurnId);
+        if (index < 0) index = (step > 0) ? -1 : len;
+        for (let i = index + step; i >= 0 && i < len; i += step) {
+            const m = this.markers[i];
+            if (m.role === 'assistant') continue;
+            if (starredOnly && !m.starred) continue;
+            if (!m.element) continue;
+            this.smoothScrollTo(m.element);
+            return true;
+        }
+        return false;
+    }
+
+    cancelLongPress() {
+        if (this.longPressTimer) { try { clearTimeout(this.longPressTimer); } catch {} this.longPressTimer = null; }
+        if (this.pressTargetDot) { try { this.pressTargetDot.classList.remove('holding'); } catch {} }
+        this.pressTargetDot = null;
+        this.pressStartPos = null;
+        this.longPressTriggered = false;
+    }
+}
+
+
+// --- Entry Point and SPA Navigation Handler ---
+let timelineManagerInstance = null;
+let timelineInitPromise = null;    // init() of the current instance, for replies that wait on it
+let currentUrl = location.href;
+let initTimerId = null;            // cancellable delayed init
+let pageObserver = null;           // page-level MutationObserver (managed)
+let routeCheckIntervalId = null;   // lightweight href polling fallback
+let routeListenersAttached = false;
+
+// The site adapter decides what a conversation page looks like (adapters.js)
+function isConversationRoute() {
+    const site = resolveTimelineSiteAdapter();
+    try {
+        if (site.isConversationRoute) return Boolean(site.isConversationRoute(location, document));
+        return Boolean(document.querySelector(site.scrollerSelector || GENERIC_SITE_ADAPTER.scrollerSelector));
+    } catch {
+        return false;
+    }
+}
+
+function attachRouteListenersOnce() {
+    if (routeListenersAttached) return;
+    routeListenersAttached = true;
+    try { window.addEventListener('popstate', handleUrlChange); } catch {}
+    try { window.addEventListener('hashchange', handleUrlChange); } catch {}
+    // Lightweight polling fallback for pushState-driven SPA changes
+    try {
+        routeCheckIntervalId = setInterval(() => {
+            if (location.href !== currentUrl) handleUrlChange();
+        }, 800);
+    } catch {}
+}
+
+function detachRouteListeners() {
+    if (!routeListenersAttached) return;
+    routeListenersAttached = false;
+    try { window.removeEventListener('popstate', handleUrlChange); } catch {}
+    try { window.removeEventListener('hashchange', handleUrlChange); } catch {}
+    try { if (routeCheckIntervalId) { clearInterval(routeCheckIntervalId); routeCheckIntervalId = null; } } catch {}
+}
+
+function cleanupGlobalObservers() {
+    try { pageObserver?.disconnect(); } catch {}
+    pageObserver = null;
+}
+
+function removeStrayTimelineUI() {
+    try { document.querySelector('.deepseek-timeline-bar')?.remove(); } catch {}
+    try { document.querySelector('.timeline-left-slider')?.remove(); } catch {}
+    try { document.querySelector('.timeline-actions')?.remove(); } catch {}
+    try { document.querySelectorAll('.timeline-popover').forEach(n => n.remove()); } catch {}
+    try { document.getElementById('deepseek-timeline-tooltip')?.remove(); } catch {}
+}
+
+function initializeTimeline() {
+    if (timelineManagerInstance) {
+        try { timelineManagerInstance.destroy(); } catch {}
+        timelineManagerInstance = null;
+    }
+    // Remove any leftover UI before creating a new instance
+    removeStrayTimelineUI();
+    timelineManagerInstance = new TimelineManager();
+    timelineInitPromise = timelineManagerInstance.init().catch(err => console.error("Timeline initialization failed:", err));
+ }
+
+function handleUrlChange() {
+    if (location.href === currentUrl) return;
+    currentUrl = location.href;
 
     // Cancel any pending init from previous route
     try { if (initTimerId) { clearTimeout(initTimerId); initTimerId = null; } } catch {}
@@ -2024,23 +5002,108 @@ function handleUrlChange() {
             try { timelineManagerInstance.destroy(); } catch {}
             timelineManagerInstance = null;
         }
-        try { document.querySelector('.deepseek-timeline-bar')?.remove(); } catch {}
-        try { document.querySelector('.timeline-left-slider')?.remove(); } catch {}
-        try { document.getElementById('deepseek-timeline-tooltip')?.remove(); } catch {}
+        removeStrayTimelineUI();
         cleanupGlobalObservers();
     }
 }
 
-const initialObserver = new MutationObserver(() => {
-    if (document.querySelector('.ds-scroll-area, [data-radix-scroll-area-viewport], [data-turn-id]')) {
-        if (isConversationRoute()) {
-            initializeTimeline();
+function liveTimelineManager() {
+    return (timelineManagerInstance && timelineManagerInstance.ui.timelineBar) ? timelineManagerInstance : null;
+}
+
+function currentTimelineSummary() {
+    const tm = liveTimelineManager();
+    return tm ? tm.getSummary() : {
+        available: isConversationRoute(),
+        enabled: !!timelineSettings.values.enabled,
+        turnCount: 0,
+        starredCount: 0,
+        active: null
+    };
+}
+
+// Toolbar popup requests. Every command answers with the summary as it stands once the command has
+// taken effect, so the popup re-renders from the reply; async ones keep the channel open (return true)
+function handleRuntimeMessage(message, sender, sendResponse) {
+    if (!message || typeof message.type !== 'string' || !message.type.startsWith('timeline:')) return;
+    const tm = liveTimelineManager();
+    switch (message.type) {
+        case 'timeline:getSummary':
+            sendResponse(currentTimelineSummary());
+            return;
+        case 'timeline:setEnabled':
+            // Saving notifies handleEnabledSettingChange, which tears down or starts an init right away
+            timelineSettings.save({ enabled: !!message.enabled });
+            Promise.resolve(message.enabled ? timelineInitPromise : null)
+                .then(() => sendResponse(currentTimelineSummary()));
+            return true;
+        case 'timeline:export':
+            if (tm) tm.exportConversation(message.format === 'json' ? 'json' : 'markdown', { starredOnly: !!message.starredOnly });
+            sendResponse(currentTimelineSummary());
+            return;
+        case 'timeline:clearStars':
+            if (tm) tm.clearStars();
+            sendResponse(currentTimelineSummary());
+            return;
+        case 'timeline:jump':
+            if (!tm) {
+                sendResponse(currentTimelineSummary());
+                return;
+            }
+            tm.jumpToEdge(message.to === 'first' ? 'first' : 'last')
+                .then(() => sendResponse(currentTimelineSummary()));
+            return true;
+        default:
+            return;
+    }
+}
+
+// Turning the timeline off/on (popup or options page) tears down or rebuilds it in place
+let lastEnabledSetting = null;
+function handleEnabledSettingChange(values) {
+    const enabled = !!values.enabled;
+    if (lastEnabledSetting === enabled) return;
+    const wasKnown = (lastEnabledSetting !== null);
+    lastEnabledSetting = enabled;
+    if (!wasKnown) return;
+    if (!enabled) {
+        if (timelineManagerInstance) {
+            try { timelineManagerInstance.destroy(); } catch {}
+            timelineManagerInstance = null;
         }
-        try { initialObserver.disconnect(); } catch {}
-        // Create a single managed pageObserver
-        pageObserver = new MutationObserver(handleUrlChange);
-        try { pageObserver.observe(document.body, { childList: true, subtree: true }); } catch {}
-        attachRouteListenersOnce();
+        removeStrayTimelineUI();
+    } else if (isConversationRoute()) {
+        initializeTimeline();
     }
-});
-try { initialObserver.observe(document.body, { childList: true, subtree: true }); } catch {}
+}
+
+function bootstrapContentScript() {
+    try { chrome.runtime.onMessage.addListener(handleRuntimeMessage); } catch {}
+
+    timelineStorage.ready().then(() => {
+        handleEnabledSettingChange(timelineSettings.load());
+        timelineSettings.onChange(handleEnabledSettingChange);
+    });
+
+    const initialObserver = new MutationObserver(() => {
+        const site = resolveTimelineSiteAdapter();
+        if (document.querySelector(`${site.scrollerSelector || GENERIC_SITE_ADAPTER.scrollerSelector}, [data-turn-id]`)) {
+            if (isConversationRoute()) {
+                initializeTimeline();
+            }
+            try { initialObserver.disconnect(); } catch {}
+            // Create a single managed pageObserver
+            pageObserver = new MutationObserver(handleUrlChange);
+            try { pageObserver.observe(document.body, { childList: true, subtree: true }); } catch {}
+            attachRouteListenersOnce();
+        }
+    });
+    try { initialObserver.observe(document.body, { childList: true, subtree: true }); } catch {}
+}
+
+// Required from Node (tests/): hand the engine to the harness instead of booting on the page
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimelineManager, BOOKMARK_CATEGORIES, BOOKMARK_SCHEMA_VERSION, NOTE_SCHEMA_VERSION, isConversationRoute };
+} else {
+    bootstrapContentScript();
+}
@@ -0,0 +1,187 @@
+/**
+ * Options page: renders a form from TIMELINE_SETTINGS_SCHEMA and saves edits
+ * through timelineSettings. Open DeepSeek tabs pick them up via storage change
+ * notifications. Also exports and imports backups through timelineBackup.
+ */
+(function () {
+    const form = document.getElementById('settings-form');
+    const status = document.getElementById('status');
+    let statusTimer = null;
+
+    function showStatus(text, { error = false, duration = 1500 } = {}) {
+        status.textContent = text;
+        status.classList.toggle('error', error);
+        if (statusTimer) clearTimeout(statusTimer);
+        statusTimer = setTimeout(() => { status.textContent = ''; }, duration);
+    }
+
+    function render(values) {
+        form.textContent = '';
+        const groups = new Map();
+        for (const field of TIMELINE_SETTINGS_SCHEMA) {
+            if (!groups.has(field.group)) groups.set(field.group, []);
+            groups.get(field.group).push(field);
+        }
+        for (const [group, fields] of groups) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = group;
+            fieldset.appendChild(legend);
+            for (const field of fields) fieldset.appendChild(renderField(field, values[field.key]));
+            form.appendChild(fieldset);
+        }
+    }
+
+    function renderField(field, value) {
+        const row = document.createElement('label');
+        row.className = `options-row options-row-${field.type}`;
+        const text = document.createElement('span');
+        text.className = 'options-label';
+        text.textContent = field.label;
+        if (field.type === 'choice') {
+            const select = document.createElement('select');
+            select.name = field.key;
+            for (const [optionValue, optionLabel] of field.options) {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = optionLabel;
+                select.appendChild(option);
+            }
+            select.value = value;
+            row.appendChild(text);
+            row.appendChild(select);
+            return row;
+        }
+        const input = document.createElement('input');
+        input.name = field.key;
+        if (field.type === 'color') {
+            // An unset color shows the built-in one; the button goes back to it
+            input.type = 'color';
+            input.value = value || field.placeholder;
+            const clear = document.createElement('button');
+            clear.type = 'button';
+            clear.className = 'options-clear';
+            clear.dataset.clear = field.key;
+            clear.textContent = 'Default';
+            clear.disabled = !value;
+            row.appendChild(text);
+            row.appendChild(input);
+            row.appendChild(clear);
+            return row;
+        }
+        if (field.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = !!value;
+            row.appendChild(input);
+            row.appendChild(text);
+            return row;
+        }
+        input.type = 'number';
+        input.min = String(field.min);
+        input.max = String(field.max);
+        input.step = String(field.step || 1);
+        input.value = String(value);
+        row.appendChild(text);
+        row.appendChild(input);
+        if (field.unit) {
+            const unit = document.createElement('span');
+            unit.className = 'options-unit';
+            unit.textContent = field.unit;
+            row.appendChild(unit);
+        }
+        const hint = document.createElement('span');
+        hint.className = 'options-default';
+        hint.textContent = `default ${field.default}`;
+        row.appendChild(hint);
+        return row;
+    }
+
+    function readField(input) {
+        if (input.type === 'checkbox') return input.checked;
+        if (input.type === 'color') return input.value;
+        if (input instanceof HTMLSelectElement) return input.value;
+        return input.value === '' ? null : Number(input.value);
+    }
+
+    form.addEventListener('change', (e) => {
+        const input = e.target;
+        if (!(input instanceof HTMLInputElement || input instanceof HTMLSelectElement) || !input.name) return;
+        timelineSettings.save({ [input.name]: readField(input) });
+        // Reflect clamping back into the field
+        if (input.type === 'color') form.querySelector(`[data-clear="${input.name}"]`).disabled = false;
+        else if (input.type !== 'checkbox') input.value = String(timelineSettings.values[input.name]);
+        showStatus('Saved');
+    });
+
+    form.addEventListener('click', (e) => {
+        const clear = e.target.closest('[data-clear]');
+        if (!clear) return;
+        e.preventDefault();
+        timelineSettings.save({ [clear.dataset.clear]: '' });
+        render(timelineSettings.values);
+        showStatus('Saved');
+    });
+
+    document.getElementById('reset-button').addEventListener('click', () => {
+        timelineSettings.reset();
+        render(timelineSettings.values);
+        showStatus('Defaults restored');
+    });
+
+    document.getElementById('backup-export').addEventListener('click', () => {
+        const data = timelineBackup.create();
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = timelineBackup.fileName();
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        // Revoking right after click() can cancel the download before the browser has read the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        const count = Object.keys(data.conversations).length;
+        showStatus(`Exported ${count} conversation${count === 1 ? '' : 's'}`);
+    });
+
+    const fileInput = document.getElementById('backup-file');
+    document.getElementById('backup-import').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files && fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        const mode = document.querySelector('input[name="backup-mode"]:checked')?.value || 'merge';
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            showStatus(`${file.name} is not valid JSON`, { error: true, duration: 6000 });
+            return;
+        }
+        const errors = timelineBackup.validate(data);
+        if (errors.length) {
+            showStatus(`Not imported: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`, { error: true, duration: 8000 });
+            return;
+        }
+        if (mode === 'replace' && !confirm('Replace all bookmarks, notes and settings with this backup? This cannot be undone.')) return;
+        try {
+            const summary = await timelineBackup.import(data, { mode });
+            render(timelineSettings.load());
+            const parts = [`${summary.conversations} conversation${summary.conversations === 1 ? '' : 's'}`];
+            if (summary.merged) parts.push(`${summary.merged} merged`);
+            if (summary.conflicts) parts.push(`${summary.conflicts} conflicting turn${summary.conflicts === 1 ? '' : 's'} resolved`);
+            if (summary.settings) parts.push('settings restored');
+            showStatus(`Imported ${parts.join(', ')}`, { duration: 5000 });
+        } catch (err) {
+            showStatus(String(err && err.message || err), { error: true, duration: 8000 });
+        }
+    });
+
+    timelineStorage.ready().then(() => {
+        render(timelineSettings.load());
+        // Another options tab (or a synced device) changed something
+        timelineSettings.onChange((values) => {
+            if (form.contains(document.activeElement)) return;
+            render(values);
+        });
+    });
+})();
@@ -0,0 +1,85 @@
+/**
+ * Toolbar popup: asks the content script in the active tab for a summary of the
+ * current conversation and forwards button presses to it (chrome.tabs.sendMessage).
+ * Each command is answered with the updated summary, which the popup renders.
+ */
+(function () {
+    const $ = (id) => document.getElementById(id);
+    const toggle = $('enabled-toggle');
+    let tabId = null;
+
+    function showMessage(text) {
+        $('popup-message').textContent = text;
+        $('popup-message').hidden = !text;
+    }
+
+    async function send(message) {
+        if (tabId == null) return null;
+        try {
+            return await chrome.tabs.sendMessage(tabId, message);
+        } catch {
+            return null; // no content script in this tab
+        }
+    }
+
+    function render(summary) {
+        if (!summary) {
+            toggle.disabled = true;
+            $('popup-summary').hidden = true;
+            showMessage('Open a DeepSeek conversation to use the timeline.');
+            return;
+        }
+        toggle.disabled = false;
+        toggle.checked = !!summary.enabled;
+        if (!summary.enabled) {
+            $('popup-summary').hidden = true;
+            showMessage('The timeline is turned off.');
+            return;
+        }
+        if (!summary.available || !summary.turnCount) {
+            $('popup-summary').hidden = true;
+            showMessage(summary.available ? 'No messages in this conversation yet.' : 'Open a DeepSeek conversation to use the timeline.');
+            return;
+        }
+        showMessage('');
+        $('popup-summary').hidden = false;
+        $('conversation-title').textContent = summary.title || '';
+        $('turn-count').textContent = String(summary.turnCount);
+        $('starred-count').textContent = String(summary.starredCount);
+        const active = summary.active;
+        $('active-index').textContent = active ? `${active.index} / ${active.total}` : '–';
+        $('active-summary').textContent = active ? `${active.starred ? '★ ' : ''}${active.summary}` : '';
+        document.querySelector('[data-command="clear-stars"]').disabled = !summary.starredCount;
+    }
+
+    async function refresh() {
+        render(await send({ type: 'timeline:getSummary' }));
+    }
+
+    const commands = {
+        'jump-first': { type: 'timeline:jump', to: 'first' },
+        'jump-last': { type: 'timeline:jump', to: 'last' },
+        'export-markdown': { type: 'timeline:export', format: 'markdown' },
+        'export-json': { type: 'timeline:export', format: 'json' },
+        'clear-stars': { type: 'timeline:clearStars' }
+    };
+
+    document.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-command]');
+        if (!btn) return;
+        const command = btn.dataset.command;
+        if (command === 'clear-stars' && !confirm('Remove all stars from this conversation?')) return;
+        // The content script replies once the command has taken effect (a jump once it has landed)
+        render(await send(commands[command]));
+    });
+
+    toggle.addEventListener('change', async () => {
+        // Replied once the timeline is built or torn down
+        render(await send({ type: 'timeline:setEnabled', enabled: toggle.checked }));
+    });
+
+    chrome.tabs.query({ active: true, currentWindow: true }).then(([tab]) => {
+        tabId = tab ? tab.id : null;
+        refresh();
+    });
+})();
@@ -0,0 +1,131 @@
+/**
+ * DeepSeek Timeline Settings
+ *
+ * Single source of truth for user-tunable values. The schema below drives both
+ * the options page form and the content script; values are persisted as one
+ * JSON string under `deepseekTimelineSettings` through timelineStorage (synced
+ * across machines) and pushed live to running TimelineManager instances.
+ */
+const TIMELINE_SETTINGS_KEY = 'deepseekTimelineSettings';
+
+// `cssVar` entries are written onto the timeline bar as `<value><unit>`;
+// `choice` fields list their allowed values as `options: [[value, label], ...]`;
+// `color` fields hold '#rrggbb' or '' for "not set"
+const TIMELINE_SETTINGS_SCHEMA = [
+    { key: 'enabled', group: 'General', type: 'boolean', default: true, label: 'Show the timeline on DeepSeek conversations' },
+    { key: 'touchMode', group: 'General', type: 'boolean', default: true, label: 'Touch layout on touch screens and narrow windows (fold-away bar, swipe to scrub)' },
+    { key: 'dock', group: 'Placement', type: 'choice', default: 'right', options: [['right', 'Right edge'], ['left', 'Left edge'], ['floating', 'Floating (drag the grip to move it)']], label: 'Timeline position' },
+    { key: 'autoHide', group: 'Placement', type: 'boolean', default: false, label: 'Auto-hide: only show the timeline when the pointer comes near it' },
+    { key: 'collapsedLine', group: 'Placement', type: 'boolean', default: false, label: 'Collapsed: draw the timeline as a thin line that widens on hover' },
+    { key: 'theme', group: 'Appearance', type: 'choice', default: 'auto', options: [['auto', 'Match the page'], ['light', 'Light'], ['dark', 'Dark']], label: 'Theme' },
+    { key: 'palette', group: 'Appearance', type: 'choice', default: 'default', options: [['default', 'Default'], ['high-contrast', 'High contrast'], ['colorblind', 'Colorblind-safe']], label: 'Colors for active, starred and search states' },
+    { key: 'accentColor', group: 'Appearance', type: 'color', default: '', placeholder: '#2563eb', label: 'Accent color (active dot, highlights)' },
+    { key: 'showAssistantMarkers', group: 'Markers', type: 'boolean', default: false, label: 'Show markers for assistant replies' },
+    { key: 'minimapMode', group: 'Markers', type: 'boolean', default: false, label: 'Minimap: draw turns as segments sized by message length' },
+    { key: 'timeAxis', group: 'Markers', type: 'boolean', default: false, label: 'Time axis: place turns by when they were sent (needs message timestamps)' },
+    { key: 'timeAxisIdleGap', group: 'Markers', type: 'number', default: 30, min: 5, max: 1440, step: 5, unit: 'min', label: 'Time axis: shorten pauses longer than' },
+    { key: 'dotSize', group: 'Markers', type: 'number', default: 12, min: 6, max: 24, step: 1, unit: 'px', cssVar: '--timeline-dot-size', label: 'Dot size' },
+    { key: 'minGap', group: 'Markers', type: 'number', default: 24, min: 8, max: 64, step: 1, unit: 'px', cssVar: '--timeline-min-gap', label: 'Minimum gap between dots' },
+    { key: 'longPressDuration', group: 'Interaction', type: 'number', default: 550, min: 200, max: 2000, step: 50, unit: 'ms', cssVar: '--timeline-hold-ms', label: 'Long-press duration to star' },
+    { key: 'scrollDuration', group: 'Interaction', type: 'number', default: 600, min: 0, max: 2000, step: 50, unit: 'ms', label: 'Jump scroll animation' },
+    { key: 'minActiveChangeInterval', group: 'Interaction', type: 'number', default: 120, min: 0, max: 1000, step: 10, unit: 'ms', label: 'Minimum time between active marker changes' },
+    { key: 'scrubDrag', group: 'Interaction', type: 'boolean', default: true, label: 'Drag along the timeline to preview messages and jump on release' },
+    { key: 'richPreview', group: 'Interaction', type: 'boolean', default: true, label: 'Preview card with the start of the reply when hovering a dot' },
+    { key: 'previewDelay', group: 'Interaction', type: 'number', default: 700, min: 200, max: 3000, step: 50, unit: 'ms', label: 'Preview card delay (hold Shift to open it at once)' },
+    { key: 'sliderFadeDelay', group: 'Interaction', type: 'number', default: 1000, min: 0, max: 5000, step: 100, unit: 'ms', label: 'Slider fade-out delay' }
+];
+
+class TimelineSettings {
+    constructor(store) {
+        this.store = store;
+        this.values = TimelineSettings.defaults();
+        this.listeners = new Set();
+        this.unsubscribeStore = null;
+    }
+
+    static defaults() {
+        const out = {};
+        for (const field of TIMELINE_SETTINGS_SCHEMA) out[field.key] = field.default;
+        return out;
+    }
+
+    // Coerce and clamp every known field; unknown keys are dropped
+    static normalize(input) {
+        const src = (input && typeof input === 'object') ? input : {};
+        const out = {};
+        for (const field of TIMELINE_SETTINGS_SCHEMA) {
+            const raw = src[field.key];
+            if (field.type === 'boolean') {
+                out[field.key] = (typeof raw === 'boolean') ? raw : field.default;
+                continue;
+            }
+            if (field.type === 'choice') {
+                out[field.key] = field.options.some(([value]) => value === raw) ? raw : field.default;
+                continue;
+            }
+            if (field.type === 'color') {
+                out[field.key] = (typeof raw === 'string' && /^#[0-9a-f]{6}$/i.test(raw)) ? raw.toLowerCase() : field.default;
+                continue;
+            }
+            let n = Number(raw);
+            if (raw === '' || raw == null || !Number.isFinite(n)) n = field.default;
+            if (typeof field.min === 'number') n = Math.max(field.min, n);
+            if (typeof field.max === 'number') n = Math.min(field.max, n);
+            out[field.key] = n;
+        }
+        return out;
+    }
+
+    // Call after store.ready(); also starts listening for changes made in other contexts
+    load() {
+        this.values = this.read();
+        if (!this.unsubscribeStore) {
+            this.unsubscribeStore = this.store.onChange((key) => {
+                if (key !== TIMELINE_SETTINGS_KEY) return;
+                this.values = this.read();
+                this.notify();
+            });
+        }
+        return this.values;
+    }
+
+    read() {
+        try {
+            const raw = this.store.getItem(TIMELINE_SETTINGS_KEY);
+            return TimelineSettings.normalize(raw ? JSON.parse(raw) : null);
+        } catch {
+            return TimelineSettings.defaults();
+        }
+    }
+
+    save(patch) {
+        this.values = TimelineSettings.normalize({ ...this.values, ...patch });
+        this.notify();
+        return this.store.setItem(TIMELINE_SETTINGS_KEY, JSON.stringify(this.values));
+    }
+
+    reset() {
+        this.values = TimelineSettings.defaults();
+        this.notify();
+        return this.store.removeItem(TIMELINE_SETTINGS_KEY);
+    }
+
+    // Subscribe to value changes (local saves and other contexts); returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        for (const listener of this.listeners) {
+            try { listener(this.values); } catch {}
+        }
+    }
+}
+
+const timelineSettings = new TimelineSettings(timelineStorage);
+
+// Required from Node (tests/), after the harness has exposed timelineStorage as a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIMELINE_SETTINGS_KEY, TIMELINE_SETTINGS_SCHEMA, TimelineSettings, timelineSettings };
+}
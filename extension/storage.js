@@ -0,0 +1,304 @@
+/**
+ * DeepSeek Timeline Storage
+ *
+ * Small key/value layer over chrome.storage with the same string-in/string-out
+ * shape as localStorage, so TimelineManager can keep reading state inline:
+ *
+ * 1.  Reads are synchronous from an in-memory cache filled once by ready().
+ *     Writes update the cache immediately and persist asynchronously; setItem()
+ *     resolves to whether the value reached storage.
+ * 2.  Bookmarks, notes and settings prefer chrome.storage.sync so they
+ *     follow the user across machines. Items that would break sync quotas fall
+ *     back to chrome.storage.local instead of being dropped.
+ * 3.  Branch maps (and fingerprint maps left by older versions) live in
+ *     chrome.storage.local and are evicted least-recently-written first once
+ *     they outgrow a byte budget; losing one only loses hints, never stars.
+ * 4.  Changes made by other tabs/devices arrive through chrome.storage.onChanged
+ *     and are forwarded to onChange() listeners. Our own writes are not echoed.
+ *
+ * Falls back to window.localStorage when chrome.storage is unavailable.
+ */
+class TimelineStorage {
+    constructor() {
+        this.cache = new Map();    // key -> string value
+        this.areaOf = new Map();   // key -> 'sync' | 'local'
+        this.listeners = new Set();
+        this.readyPromise = null;
+        this.keyPrefix = 'deepseekTimeline';
+        this.syncPrefixes = ['deepseekTimelineStars:', 'deepseekTimelineNotes:', 'deepseekTimelineSettings'];
+        this.evictablePrefixes = ['deepseekTimelineMessageIds:', 'deepseekTimelineBranches:'];
+        // Keys copied out of page localStorage by the one-time migration
+        this.legacyPrefixes = ['deepseekTimelineStars:', 'deepseekTimelineMessageIds:', 'deepseekTimelineStarsSchema'];
+        this.lruKey = 'deepseekTimelineLru'; // evictable key -> last write time
+        this.lru = {};
+        this.localBudget = 8 * 1024 * 1024; // bytes for evictable keys, below the 10MB local quota
+        this.useChrome = (typeof chrome !== 'undefined' && !!chrome.storage && !!chrome.storage.local);
+        this.onChromeChanged = null;
+        this.onWindowStorage = null;
+        this.lruTimer = null;
+    }
+
+    ready() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.load().catch(err => {
+                console.error('Timeline storage failed to load:', err);
+            });
+        }
+        return this.readyPromise;
+    }
+
+    async load() {
+        if (!this.useChrome) {
+            this.onWindowStorage = (e) => {
+                if (!e || e.storageArea !== localStorage || !this.isOwnKey(e.key)) return;
+                this.notify(e.key, e.newValue);
+            };
+            try { window.addEventListener('storage', this.onWindowStorage); } catch {}
+            return;
+        }
+        const [local, sync] = await Promise.all([
+            chrome.storage.local.get(null),
+            chrome.storage.sync.get(null).catch(() => ({}))
+        ]);
+        // Sync wins when a key exists in both areas (another device wrote it last)
+        for (const [area, items] of [['local', local], ['sync', sync]]) {
+            for (const [key, value] of Object.entries(items || {})) {
+                if (key === this.lruKey) {
+                    try { this.lru = JSON.parse(value) || {}; } catch { this.lru = {}; }
+                    continue;
+                }
+                if (!this.isOwnKey(key) || typeof value !== 'string') continue;
+                this.cache.set(key, value);
+                this.areaOf.set(key, area);
+            }
+        }
+        this.onChromeChanged = (changes, areaName) => this.handleChromeChange(changes, areaName);
+        try { chrome.storage.onChanged.addListener(this.onChromeChanged); } catch {}
+        await this.migrateFromLocalStorage();
+    }
+
+    // One-time copy of the page's legacy localStorage data (per site, since localStorage is per origin)
+    async migrateFromLocalStorage() {
+        // Extension pages (options) have no legacy site data
+        if (!/^https?:$/.test(location.protocol)) return;
+        const flagKey = `deepseekTimelineStorageMigrated:${location.hostname || 'default'}`;
+        if (this.cache.has(flagKey)) return;
+        const moved = [];
+        const copied = [];
+        let complete = true;
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && this.legacyPrefixes.some(p => key.startsWith(p))) moved.push(key);
+            }
+        } catch {}
+        for (const key of moved) {
+            let value = null;
+            try { value = localStorage.getItem(key); } catch {}
+            if (value == null) continue;
+            if (this.cache.has(key) || await this.setItem(key, value)) copied.push(key);
+            else complete = false;
+        }
+        // A dropped write keeps its legacy key (and the migration pending) for the next page load
+        if (complete) await this.setItem(flagKey, '1');
+        for (const key of copied) {
+            try { localStorage.removeItem(key); } catch {}
+        }
+    }
+
+    isOwnKey(key) {
+        return typeof key === 'string' && key.startsWith(this.keyPrefix) && key !== this.lruKey;
+    }
+
+    getItem(key) {
+        if (!this.useChrome) {
+            try { return localStorage.getItem(key); } catch { return null; }
+        }
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    keys(prefix = '') {
+        if (!this.useChrome) {
+            const out = [];
+            try {
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key && key.startsWith(prefix)) out.push(key);
+                }
+            } catch {}
+            return out;
+        }
+        return Array.from(this.cache.keys()).filter(key => key.startsWith(prefix));
+    }
+
+    setItem(key, value) {
+        const str = String(value);
+        if (!this.useChrome) {
+            try {
+                localStorage.setItem(key, str);
+                return Promise.resolve(true);
+            } catch {
+                return Promise.resolve(false);
+            }
+        }
+        if (this.cache.get(key) === str) return Promise.resolve(true);
+        this.cache.set(key, str);
+        const prevArea = this.areaOf.get(key);
+        const area = this.pickArea(key, str);
+        this.areaOf.set(key, area);
+        const evictable = this.isEvictable(key);
+        if (evictable) this.touch(key);
+        return this.write(area, key, str).then(async () => {
+            if (prevArea && prevArea !== this.areaOf.get(key)) {
+                try { await chrome.storage[prevArea].remove(key); } catch {}
+            }
+            if (evictable) await this.enforceLocalBudget(key);
+            return true;
+        }).catch(err => {
+            console.warn('Timeline storage write failed:', key, err);
+            return false;
+        });
+    }
+
+    removeItem(key) {
+        if (!this.useChrome) {
+            try { localStorage.removeItem(key); } catch {}
+            return Promise.resolve();
+        }
+        if (!this.cache.has(key)) return Promise.resolve();
+        const area = this.areaOf.get(key) || 'local';
+        this.cache.delete(key);
+        this.areaOf.delete(key);
+        if (this.lru[key]) { delete this.lru[key]; this.persistLruDeferred(); }
+        return chrome.storage[area].remove(key).catch(() => {});
+    }
+
+    // Subscribe to changes made elsewhere; returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(key, newValue) {
+        for (const listener of this.listeners) {
+            try { listener(key, newValue); } catch {}
+        }
+    }
+
+    handleChromeChange(changes, areaName) {
+        if (areaName !== 'local' && areaName !== 'sync') return;
+        for (const [key, change] of Object.entries(changes || {})) {
+            if (!this.isOwnKey(key)) continue;
+            const next = change.newValue;
+            if (next === undefined) {
+                // Removal from the area we no longer use for this key (moved sync <-> local)
+                if (this.areaOf.get(key) !== areaName) continue;
+                if (!this.cache.has(key)) continue;
+                this.cache.delete(key);
+                this.areaOf.delete(key);
+                this.notify(key, null);
+            } else if (typeof next === 'string') {
+                this.areaOf.set(key, areaName);
+                if (this.cache.get(key) === next) continue; // our own write echoing back
+                this.cache.set(key, next);
+                this.notify(key, next);
+            }
+        }
+    }
+
+    // chrome.storage counts a key plus the JSON encoding of its value
+    itemBytes(key, value) {
+        return key.length + JSON.stringify(value).length;
+    }
+
+    pickArea(key, value) {
+        if (!this.syncPrefixes.some(p => key.startsWith(p)) || !chrome.storage.sync) return 'local';
+        const sync = chrome.storage.sync;
+        const perItem = sync.QUOTA_BYTES_PER_ITEM || 8192;
+        const total = sync.QUOTA_BYTES || 102400;
+        const maxItems = sync.MAX_ITEMS || 512;
+        const size = this.itemBytes(key, value);
+        if (size > perItem) return 'local';
+        let used = 0;
+        let count = 0;
+        for (const [k, area] of this.areaOf) {
+            if (area !== 'sync' || k === key) continue;
+            used += this.itemBytes(k, this.cache.get(k) || '');
+            count++;
+        }
+        // Keep headroom: sync write failures are rate/quota errors we would rather avoid
+        if (used + size > total * 0.9 || count + 1 > maxItems) return 'local';
+        return 'sync';
+    }
+
+    async write(area, key, value) {
+        try {
+            await chrome.storage[area].set({ [key]: value });
+            return;
+        } catch (err) {
+            if (area === 'sync') {
+                // Quota or write-rate limit on sync: keep the data locally instead
+                this.areaOf.set(key, 'local');
+                await this.write('local', key, value);
+                return;
+            }
+            if (!this.isQuotaError(err)) throw err;
+        }
+        // Local quota hit: make room from the evictable cache and retry once
+        await this.enforceLocalBudget(key, this.itemBytes(key, value));
+        await chrome.storage.local.set({ [key]: value });
+    }
+
+    isQuotaError(err) {
+        return /quota/i.test(String(err && (err.message || err)));
+    }
+
+    isEvictable(key) {
+        return this.evictablePrefixes.some(p => key.startsWith(p));
+    }
+
+    touch(key) {
+        this.lru[key] = Date.now();
+        this.persistLruDeferred();
+    }
+
+    persistLruDeferred() {
+        if (this.lruTimer) return;
+        this.lruTimer = setTimeout(() => {
+            this.lruTimer = null;
+            chrome.storage.local.set({ [this.lruKey]: JSON.stringify(this.lru) }).catch(() => {});
+        }, 1000);
+    }
+
+    // Drop least-recently-written evictable keys until they fit the budget (never `keepKey`)
+    async enforceLocalBudget(keepKey, extraBytes = 0) {
+        const evictable = [];
+        let used = extraBytes;
+        for (const [key, area] of this.areaOf) {
+            if (area !== 'local' || !this.isEvictable(key)) continue;
+            used += this.itemBytes(key, this.cache.get(key) || '');
+            if (key !== keepKey) evictable.push(key);
+        }
+        if (used <= this.localBudget) return;
+        evictable.sort((a, b) => (this.lru[a] || 0) - (this.lru[b] || 0));
+        const victims = [];
+        for (const key of evictable) {
+            if (used <= this.localBudget) break;
+            used -= this.itemBytes(key, this.cache.get(key) || '');
+            victims.push(key);
+            this.cache.delete(key);
+            this.areaOf.delete(key);
+            delete this.lru[key];
+        }
+        if (!victims.length) return;
+        this.persistLruDeferred();
+        try { await chrome.storage.local.remove(victims); } catch {}
+    }
+}
+
+const timelineStorage = new TimelineStorage();
+
+// Required from Node (tests/); in the browser the manifest shares this scope with content.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TimelineStorage, timelineStorage };
+}
@@ -0,0 +1,95 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function key(page, target, init) {
+    target.dispatchEvent(new page.window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init }));
+}
+
+test('the timeline is a labelled landmark holding a listbox of turns', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const bar = page.document.querySelector('.deepseek-timeline-bar');
+    assert.equal(bar.getAttribute('role'), 'navigation');
+    assert.equal(bar.getAttribute('aria-label'), 'Conversation timeline');
+    const list = bar.querySelector('[role="listbox"]');
+    assert.ok(list);
+    const dots = Array.from(list.querySelectorAll('.timeline-dot'));
+    assert.ok(dots.every(d => d.getAttribute('role') === 'option' && d.getAttribute('aria-setsize') === '3'));
+    assert.deepEqual(dots.map(d => d.getAttribute('aria-posinset')), ['1', '2', '3']);
+    // Exactly one tab stop, on the active turn
+    assert.deepEqual(dots.map(d => d.getAttribute('tabindex')).filter(t => t === '0'), ['0']);
+    const active = tm.markerMap.get(tm.activeTurnId).dotElement;
+    assert.equal(active.getAttribute('tabindex'), '0');
+    assert.equal(active.getAttribute('aria-selected'), 'true');
+    closePage(page, tm);
+});
+
+test('arrow keys rove focus and S stars the focused turn', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const first = tm.markerMap.get('m-101').dotElement;
+    first.focus();
+    key(page, first, { key: 'ArrowDown' });
+    const second = tm.markerMap.get('m-103').dotElement;
+    assert.equal(page.document.activeElement, second);
+    assert.equal(second.getAttribute('tabindex'), '0');
+    assert.equal(first.getAttribute('tabindex'), '-1');
+    key(page, second, { key: 'End' });
+    assert.equal(page.document.activeElement, tm.markerMap.get('m-105').dotElement);
+    key(page, page.document.activeElement, { key: 'Home' });
+    assert.equal(page.document.activeElement, first);
+
+    key(page, first, { key: 's', code: 'KeyS' });
+    assert.equal(tm.starred.has('m-101'), true);
+    assert.equal(first.getAttribute('aria-label'), 'How do I tune max.poll.records for a Kafka consumer?, starred');
+    assert.equal(page.document.querySelector('.timeline-live').textContent, 'Starred');
+    // The tooltip keeps its own star prefix instead of the spoken state
+    assert.equal(tm.getTooltipText(first), '★ How do I tune max.poll.records for a Kafka consumer?');
+    closePage(page, tm);
+});
+
+test('a dot dropped by virtualization is rendered before it takes focus', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const last = tm.markers[tm.markers.length - 1];
+    try { last.dotElement.remove(); } catch {}
+    last.dotElement = null;
+    tm.visibleRange = { start: 0, end: tm.markers.length - 2 };
+    tm.focusMarkerAt(tm.markers.length - 1);
+    assert.ok(last.dotElement);
+    assert.equal(page.document.activeElement, last.dotElement);
+    closePage(page, tm);
+});
+
+test('active turn changes are announced once they settle', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.announceDelay = 10;
+    // Hold the active turn where the test puts it
+    tm.computeActiveByScroll = () => {};
+    const live = page.document.querySelector('.timeline-live');
+    assert.equal(live.getAttribute('aria-live'), 'polite');
+    tm.toggleStar('m-103');
+    tm.activeTurnId = 'm-101';
+    tm.updateActiveDotUI();
+    tm.activeTurnId = 'm-103';
+    tm.updateActiveDotUI();
+    await sleep(30);
+    assert.equal(live.textContent, 'Turn 2 of 3, starred');
+    closePage(page, tm);
+});
+
+test('with reply markers shown, positions still count prompts and replies name their turn', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    page.window.localStorage.setItem('deepseekTimelineSettings', JSON.stringify({ showAssistantMarkers: true }));
+    const tm = await startTimeline(page);
+    assert.equal(tm.markers.length, 6);
+    assert.equal(tm.describeTurnPosition(2), 'Turn 2 of 3');
+    assert.equal(tm.describeTurnPosition(3), 'Reply to turn 2');
+    closePage(page, tm);
+});
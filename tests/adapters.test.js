@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+test('DeepSeek pages get the DeepSeek adapter and its conversation ids', () => {
+    const page = loadPage('deepseek-heuristic.html', { url: 'https://chat.deepseek.com/a/chat/s/9b2f4c1a-77aa-4e0e-9d1b-3c5e6f708192' });
+    const tm = new page.TimelineManager();
+    assert.equal(tm.site.id, 'deepseek');
+    assert.equal(tm.conversationId, '9b2f4c1a-77aa-4e0e-9d1b-3c5e6f708192');
+    assert.equal(page.isConversationRoute(), true);
+    closePage(page);
+});
+
+test('pages without a dedicated adapter fall back to the generic heuristics', async () => {
+    const page = loadPage('deepseek-attributes.html', { url: 'https://chat.example.com/chat/abc1234' });
+    const tm = await startTimeline(page);
+    assert.equal(tm.site, page.GENERIC_SITE_ADAPTER);
+    assert.equal(tm.conversationId, 'abc1234');
+    assert.deepEqual(tm.markers.map(m => m.id), ['m-101', 'm-103', 'm-105']);
+    closePage(page, tm);
+});
+
+test('adapter hooks take precedence over the generic scan', async () => {
+    const page = loadPage('deepseek-attributes.html', { url: 'https://chat.example.org/t/42' });
+    page.registerTimelineSiteAdapter({
+        id: 'example',
+        matches: (loc) => loc.hostname === 'chat.example.org',
+        scrollerSelector: '.ds-scroll-area',
+        listMessages: (container) => container.querySelectorAll('.ds-message:not([data-message-id="m-106"])'),
+        readRole: (el) => (el.dataset.messageId === 'm-102' ? 'user' : null),
+        readConversationId: (pathname) => pathname.match(/^\/t\/(\d+)/)?.[1] || null
+    });
+    const tm = await startTimeline(page);
+    assert.equal(tm.site.id, 'example');
+    assert.equal(tm.conversationId, '42');
+    assert.equal(page.document.querySelector('[data-message-id="m-106"]').dataset.turn, undefined);
+    assert.deepEqual(tm.markers.map(m => m.id), ['m-101', 'm-102', 'm-103', 'm-105']);
+    const exported = JSON.parse(tm.buildExportJSON(tm.collectExportTurns()));
+    assert.equal(exported.turns.length, 5);
+    closePage(page, tm);
+});
+
+test('the adapter container stays bound after the page re-renders', async () => {
+    const page = loadPage('deepseek-attributes.html', { url: 'https://chat.example.org/t/42' });
+    page.registerTimelineSiteAdapter({
+        id: 'example',
+        matches: (loc) => loc.hostname === 'chat.example.org',
+        scrollerSelector: '.ds-scroll-area',
+        // The scroller itself, where the generic scan would pick the [data-message-list] child
+        findConversationContainer: (scroller) => scroller
+    });
+    const tm = await startTimeline(page);
+    const scroller = page.document.querySelector('.ds-scroll-area');
+    assert.equal(tm.conversationContainer, scroller);
+    const list = scroller.querySelector('[data-message-list]');
+    const message = list.firstElementChild.cloneNode(true);
+    message.dataset.messageId = 'm-107';
+    list.appendChild(message);
+    tm.ensureContainersUpToDate();
+    assert.equal(tm.conversationContainer, scroller);
+    closePage(page, tm);
+});
+
+test('data saved under the old hashed conversation id moves to the adapter id', async () => {
+    const url = 'https://chat.deepseek.com/a/chat/s/0f6c1d2e-fixture';
+    const legacyId = 'ds-legacy1';
+    const fingerprint = JSON.stringify({ c: legacyId, r: 'user', s: 'sig', t: '' });
+    const page = loadPage('deepseek-attributes.html', {
+        url,
+        storage: {
+            [`deepseekTimelineStars:${legacyId}`]: JSON.stringify({
+                version: 2,
+                // ds-turn-abc is on no turn of this page, so the map it may be found by is kept
+                bookmarks: { 'm-103': { category: 'bug', label: 'fetch', createdAt: 1 }, 'ds-turn-abc': { createdAt: 2 } },
+                meta: { title: 'Kafka consumer tuning', url }
+            }),
+            [`deepseekTimelineMessageIds:${legacyId}`]: JSON.stringify([[fingerprint, 'ds-turn-abc']])
+        }
+    });
+    const tm = await startTimeline(page);
+    const storage = page.window.localStorage;
+    assert.equal(tm.conversationId, '0f6c1d2e-fixture');
+    assert.equal(tm.starred.get('m-103')?.category, 'bug');
+    assert.equal(storage.getItem(`deepseekTimelineStars:${legacyId}`), null);
+    assert.equal(storage.getItem(`deepseekTimelineMessageIds:${legacyId}`), null);
+    const ids = new Map(JSON.parse(storage.getItem('deepseekTimelineMessageIds:0f6c1d2e-fixture')));
+    assert.equal(ids.get(JSON.stringify({ c: '0f6c1d2e-fixture', r: 'user', s: 'sig', t: '' })), 'ds-turn-abc');
+    closePage(page, tm);
+});
+
+test('stars keyed by pre-upgrade fingerprint ids follow their conversation to the adapter id', async () => {
+    // Before adapters this page was keyed by a URL hash, and its stars by fingerprint ids
+    const probe = loadPage('deepseek-heuristic.html');
+    const tmProbe = new probe.TimelineManager();
+    const legacyId = tmProbe.genericConversationIdFromPath();
+    tmProbe.conversationId = legacyId;
+    tmProbe.conversationContainer = probe.document.querySelector('.ds-scroll-area').firstElementChild;
+    tmProbe.inferRoles(tmProbe.collectPotentialMessageNodes());
+    const fifth = probe.document.querySelectorAll('.ds-msg')[4];
+    const storage = {
+        [`deepseekTimelineMessageIds:${legacyId}`]: JSON.stringify([[tmProbe.computeMessageFingerprint(fifth), 'ds-turn-old5']]),
+        // A v1 star: no summary to match by text
+        [`deepseekTimelineStars:${legacyId}`]: JSON.stringify(['ds-turn-old5'])
+    };
+    closePage(probe);
+
+    const page = loadPage('deepseek-heuristic.html', { storage });
+    const tm = await startTimeline(page);
+    assert.equal(tm.conversationId, '0f6c1d2e-fixture');
+    const id = page.document.querySelectorAll('.ds-msg')[4].dataset.turnId;
+    assert.deepEqual(Array.from(tm.starred.keys()), [id]);
+    assert.equal(tm.markerMap.get(id).starred, true);
+    assert.equal(page.window.localStorage.getItem(`deepseekTimelineMessageIds:${legacyId}`), null);
+    closePage(page, tm);
+});
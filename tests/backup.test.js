@@ -0,0 +1,142 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { loadPage, closePage, fakeChrome } = require('./helpers/dom');
+
+const BACKUP_JS = path.join(__dirname, '..', 'extension', 'backup.js');
+
+// The options page loads backup.js after the content-script modules the harness already shares
+function loadBackupPage(storage) {
+    const page = loadPage('deepseek-attributes.html', { storage });
+    delete require.cache[require.resolve(BACKUP_JS)];
+    Object.assign(page, require(BACKUP_JS));
+    return page;
+}
+
+const stars = (bookmarks) => JSON.stringify({ version: 2, bookmarks, meta: { title: 'Kafka', url: 'https://chat.deepseek.com/a/chat/s/c1' } });
+const notes = (entries) => JSON.stringify({ version: 1, notes: entries });
+
+test('a backup round-trips every conversation key and the settings', async () => {
+    const page = loadBackupPage({
+        'deepseekTimelineStars:c1': stars({ 'ds-turn-a': { label: 'Plan', category: 'decision', createdAt: 1 } }),
+        'deepseekTimelineStars:c2': JSON.stringify(['ds-turn-legacy']),
+        'deepseekTimelineNotes:c1': notes({ 'ds-turn-b': { text: 'Why?', updatedAt: 2 } }),
+        'deepseekTimelineBranches:c1': JSON.stringify({ 'u:': [{ id: 'ds-turn-a', head: 'plan' }] }),
+        'deepseekTimelineSettings': JSON.stringify({ minimapMode: true }),
+        'deepseekTimelineStorageMigrated:chat.deepseek.com': '1'
+    });
+    const data = page.timelineBackup.create();
+    assert.equal(data.format, page.TIMELINE_BACKUP_FORMAT);
+    assert.equal(data.version, page.TIMELINE_BACKUP_VERSION);
+    assert.deepEqual(Object.keys(data.conversations).sort(), ['c1', 'c2']);
+    assert.deepEqual(Object.keys(data.conversations.c1).sort(), ['branches', 'notes', 'stars']);
+    // Legacy star arrays are written in the current schema
+    assert.deepEqual(data.conversations.c2.stars, { version: 2, bookmarks: { 'ds-turn-legacy': { category: 'star' } } });
+    assert.deepEqual(data.settings, { minimapMode: true });
+    assert.deepEqual(page.timelineBackup.validate(JSON.parse(JSON.stringify(data))), []);
+
+    page.window.localStorage.clear();
+    const summary = await page.timelineBackup.import(data);
+    assert.deepEqual(summary, { conversations: 2, added: 2, merged: 0, conflicts: 0, settings: true });
+    assert.equal(JSON.parse(page.window.localStorage.getItem('deepseekTimelineNotes:c1')).notes['ds-turn-b'].text, 'Why?');
+    assert.equal(JSON.parse(page.window.localStorage.getItem('deepseekTimelineSettings')).minimapMode, true);
+    closePage(page);
+});
+
+test('merging resolves turns present on both sides by the newer entry', async () => {
+    const page = loadBackupPage({
+        'deepseekTimelineStars:c1': stars({
+            'ds-turn-a': { label: 'Local label', createdAt: 10 },
+            'ds-turn-b': { label: 'Local only', createdAt: 3 }
+        }),
+        'deepseekTimelineNotes:c1': notes({ 'ds-turn-a': { text: 'old', updatedAt: 5 } }),
+        'deepseekTimelineSettings': JSON.stringify({ dotSize: 10 })
+    });
+    const summary = await page.timelineBackup.import({
+        format: 'deepseek-timeline-backup',
+        version: 1,
+        settings: { dotSize: 20 },
+        conversations: {
+            c1: {
+                stars: { version: 2, bookmarks: { 'ds-turn-a': { label: 'Older import', createdAt: 4 }, 'ds-turn-c': { createdAt: 6 } } },
+                notes: { version: 1, notes: { 'ds-turn-a': { text: 'newer', updatedAt: 9 } } }
+            },
+            c9: { notes: { version: 1, notes: { 'ds-turn-z': { text: 'elsewhere', updatedAt: 1 } } } }
+        }
+    });
+    assert.deepEqual(summary, { conversations: 2, added: 1, merged: 1, conflicts: 2, settings: false });
+    const merged = JSON.parse(page.window.localStorage.getItem('deepseekTimelineStars:c1'));
+    assert.deepEqual(Object.keys(merged.bookmarks).sort(), ['ds-turn-a', 'ds-turn-b', 'ds-turn-c']);
+    assert.equal(merged.bookmarks['ds-turn-a'].label, 'Local label');
+    assert.equal(merged.meta.title, 'Kafka');
+    assert.equal(JSON.parse(page.window.localStorage.getItem('deepseekTimelineNotes:c1')).notes['ds-turn-a'].text, 'newer');
+    assert.ok(page.window.localStorage.getItem('deepseekTimelineNotes:c9'));
+    // Saved settings are kept when merging
+    assert.equal(JSON.parse(page.window.localStorage.getItem('deepseekTimelineSettings')).dotSize, 10);
+    closePage(page);
+});
+
+test('replacing drops data the backup does not contain', async () => {
+    const page = loadBackupPage({
+        'deepseekTimelineStars:c1': stars({ 'ds-turn-a': { createdAt: 1 } }),
+        'deepseekTimelineBranches:c1': JSON.stringify({}),
+        'deepseekTimelineSettings': JSON.stringify({ dotSize: 10 })
+    });
+    await page.timelineBackup.import({
+        format: 'deepseek-timeline-backup',
+        version: 1,
+        settings: null,
+        conversations: { c2: { stars: ['ds-turn-x'] } }
+    }, { mode: 'replace' });
+    const keys = Object.keys(page.window.localStorage).sort();
+    assert.deepEqual(keys, ['deepseekTimelineStars:c2']);
+    closePage(page);
+});
+
+test('invalid backups are rejected with every problem listed', async () => {
+    const page = loadBackupPage({ 'deepseekTimelineStars:c1': stars({ 'ds-turn-a': { createdAt: 1 } }) });
+    const backup = page.timelineBackup;
+    assert.deepEqual(backup.validate({ hello: 1 }), ['not a DeepSeek Timeline backup']);
+    assert.deepEqual(backup.validate({ format: 'deepseek-timeline-backup', version: 2, conversations: {} }), [
+        'version: 2 was written by a newer version of the extension'
+    ]);
+    const broken = {
+        format: 'deepseek-timeline-backup',
+        version: 1,
+        settings: 'dark',
+        conversations: { c1: { stars: { bookmarks: { 'ds-turn-a': 'yes' } }, notes: { notes: { n: {} } }, messageIds: [['fp']] } }
+    };
+    assert.deepEqual(backup.validate(broken), [
+        'settings: expected an object',
+        'conversations.c1.stars: every bookmark must be an object',
+        'conversations.c1.notes: every note needs a text',
+        'conversations.c1.messageIds: expected a list of [fingerprint, id] pairs'
+    ]);
+    await assert.rejects(backup.import(broken), /Invalid backup: settings: expected an object/);
+    // Nothing was written
+    assert.deepEqual(Object.keys(JSON.parse(page.window.localStorage.getItem('deepseekTimelineStars:c1')).bookmarks), ['ds-turn-a']);
+    closePage(page);
+});
+
+test('an import storage refuses is reported and removes nothing', async (t) => {
+    const page = loadBackupPage();
+    const chrome = fakeChrome({ failSet: key => key === 'deepseekTimelineStars:c2' });
+    globalThis.chrome = chrome;
+    t.after(() => { delete globalThis.chrome; closePage(page); });
+    t.mock.method(console, 'warn', () => {});
+    const store = new page.TimelineStorage();
+    await store.ready();
+    await store.setItem('deepseekTimelineStars:c1', stars({ 'ds-turn-a': { createdAt: 1 } }));
+    const backup = new page.TimelineBackup(store);
+
+    await assert.rejects(backup.import({
+        format: 'deepseek-timeline-backup',
+        version: 1,
+        conversations: { c2: { stars: ['ds-turn-x'] } }
+    }, { mode: 'replace' }), /1 of 1 items could not be saved/);
+    // The data the backup was to replace is still there
+    assert.ok(chrome.storage.sync.items['deepseekTimelineStars:c1']);
+    assert.ok(store.getItem('deepseekTimelineStars:c1'));
+});
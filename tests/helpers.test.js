@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePage } = require('./helpers/dom');
+
+function withManager(fn, url) {
+    const page = loadPage('deepseek-attributes.html', url ? { url } : undefined);
+    try {
+        fn(new page.TimelineManager(), page);
+    } finally {
+        closePage(page);
+    }
+}
+
+test('normalizeTimestampValue converts epoch ms/s and keeps other text collapsed', () => {
+    withManager(tm => {
+        assert.equal(tm.normalizeTimestampValue('1718000000000'), '2024-06-10T06:13:20.000Z');
+        assert.equal(tm.normalizeTimestampValue(1718000000), '2024-06-10T06:13:20.000Z');
+        assert.equal(tm.normalizeTimestampValue(' 2024-06-10T08:00:00Z '), '2024-06-10T08:00:00Z');
+        assert.equal(tm.normalizeTimestampValue('Jun 10,\n  08:00'), 'Jun 10, 08:00');
+        // Not 10/13 digits: left as text rather than guessed
+        assert.equal(tm.normalizeTimestampValue('171800000000'), '171800000000');
+        assert.equal(tm.normalizeTimestampValue(' '), '');
+        assert.equal(tm.normalizeTimestampValue(null), '');
+    });
+});
+
+test('applyMinGap keeps order, spacing and bounds', () => {
+    withManager(tm => {
+        assert.deepEqual(tm.applyMinGap([], 0, 100, 10), []);
+        // Crowded dots are pushed apart
+        assert.deepEqual(tm.applyMinGap([10, 12, 14], 10, 100, 10), [10, 20, 30]);
+        // Overflow at the end is pulled back from the bottom
+        assert.deepEqual(tm.applyMinGap([80, 95, 100], 0, 100, 10), [80, 90, 100]);
+        // Already spaced positions are untouched
+        assert.deepEqual(tm.applyMinGap([0, 50, 100], 0, 100, 10), [0, 50, 100]);
+        const out = tm.applyMinGap([0, 1, 2, 3, 4, 5], 0, 40, 10);
+        assert.equal(out[0], 0);
+        assert.equal(out[out.length - 1], 40);
+        for (let i = 1; i < out.length; i++) assert.ok(out[i] >= out[i - 1]);
+    });
+});
+
+test('extractConversationIdFromPath reads path and query ids', () => {
+    withManager(tm => {
+        assert.equal(tm.extractConversationIdFromPath('/chat/abc123', ''), 'abc123');
+        assert.equal(tm.extractConversationIdFromPath('/g/team/conversation/Xy_9-z', ''), 'Xy_9-z');
+        assert.equal(tm.extractConversationIdFromPath('/', '?conversation_id=q42'), 'q42');
+        assert.equal(tm.extractConversationIdFromPath('/', '?chatId=777'), '777');
+    });
+});
+
+test('extractConversationIdFromPath falls back to a stable hash of the page', () => {
+    withManager((tm, page) => {
+        const a = tm.extractConversationIdFromPath('/', '');
+        assert.match(a, /^ds-[0-9a-z]+$/);
+        assert.equal(tm.extractConversationIdFromPath('/', ''), a);
+        page.document.title = 'Another conversation';
+        assert.notEqual(tm.extractConversationIdFromPath('/', ''), a);
+    });
+});
+
+test('a zero scroll duration jumps straight to the turn', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    try {
+        const tm = new page.TimelineManager();
+        const writes = [];
+        tm.scrollContainer = {
+            get scrollTop() { return 100; },
+            set scrollTop(value) { writes.push(value); },
+            getBoundingClientRect: () => ({ top: 50 })
+        };
+        const target = page.document.createElement('div');
+        target.getBoundingClientRect = () => ({ top: 450 });
+        await tm.smoothScrollTo(target, 0);
+        assert.deepEqual(writes, [500]);
+    } finally {
+        closePage(page);
+    }
+});
+
+test('Markdown export fences and inline code outgrow the backticks they contain', () => {
+    withManager((tm, page) => {
+        const el = page.document.createElement('div');
+        el.innerHTML = '<p>Use <code>a`b</code> or <code>`x`</code></p>'
+            + '<pre><code class="language-md">```js\nlet a;\n```</code></pre><p>after</p>';
+        const md = tm.renderMessageMarkdown(el);
+        assert.ok(md.includes('Use ``a`b`` or `` `x` ``'));
+        assert.ok(md.includes('````md\n```js\nlet a;\n```\n````'));
+        assert.ok(md.endsWith('````\n\nafter'));
+        // Plain code still gets the usual three
+        el.innerHTML = '<pre><code>let b;\n\n\n\nlet c;</code></pre>';
+        assert.equal(tm.renderMessageMarkdown(el), '```\nlet b;\n\n\n\nlet c;\n```');
+    });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+/**
+ * Test harness: loads the extension scripts into a fresh jsdom page the way the
+ * manifest does (storage.js, settings.js, adapters.js and content.js share one
+ * global scope).
+ *
+ * jsdom has no layout engine, so fixtures describe geometry themselves:
+ * `data-fixture-top="<px>"` is reported as the element's offsetTop.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const EXTENSION_DIR = path.join(__dirname, '..', '..', 'extension');
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+const SCRIPTS = ['storage.js', 'settings.js', 'adapters.js', 'content.js'];
+const WINDOW_GLOBALS = [
+    'window', 'document', 'location', 'navigator', 'HTMLElement', 'Element', 'Node',
+    'MutationObserver', 'NodeFilter', 'localStorage', 'sessionStorage', 'getComputedStyle', 'CSS',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'Blob', 'URL'
+];
+const DEFAULT_URL = 'https://chat.deepseek.com/a/chat/s/0f6c1d2e-fixture';
+
+// Observers the engine creates but jsdom does not implement; nothing in the suite depends on their callbacks
+class InertObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+}
+
+// CSSOM's CSS.escape(), which jsdom does not provide (https://drafts.csswg.org/cssom/#serialize-an-identifier)
+function cssEscape(value) {
+    const str = String(value);
+    let out = '';
+    for (let i = 0; i < str.length; i++) {
+        const ch = str[i];
+        const code = str.charCodeAt(i);
+        if (code === 0) out += '\uFFFD';
+        else if ((code >= 0x1 && code <= 0x1f) || code === 0x7f
+            || (i === 0 && code >= 0x30 && code <= 0x39)
+            || (i === 1 && code >= 0x30 && code <= 0x39 && str.charCodeAt(0) === 0x2d)) out += `\\${code.toString(16)} `;
+        else if (i === 0 && str.length === 1 && code === 0x2d) out += `\\${ch}`;
+        else if (code >= 0x80 || code === 0x2d || code === 0x5f || /[0-9A-Za-z]/.test(ch)) out += ch;
+        else out += `\\${ch}`;
+    }
+    return out;
+}
+
+function installGlobals(window) {
+    if (!window.CSS) window.CSS = {};
+    if (typeof window.CSS.escape !== 'function') window.CSS.escape = cssEscape;
+    for (const name of WINDOW_GLOBALS) {
+        if (window[name] === undefined) continue;
+        const value = (typeof window[name] === 'function' && /^[a-z]/.test(name)) ? window[name].bind(window) : window[name];
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    }
+    for (const name of ['ResizeObserver', 'IntersectionObserver']) {
+        window[name] = InertObserver;
+        Object.defineProperty(globalThis, name, { value: InertObserver, configurable: true, writable: true });
+    }
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetTop', {
+        configurable: true,
+        get() { return Number(this.getAttribute('data-fixture-top')) || 0; }
+    });
+}
+
+// Forward page console output, minus jsdom's "not implemented" notices (canvas text measuring, scrollTo)
+function quietConsole() {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+    virtualConsole.on('jsdomError', (err) => {
+        if (err && err.type !== 'not implemented') console.error(err);
+    });
+    return virtualConsole;
+}
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8');
+}
+
+/**
+ * Open `fixture` (a file in tests/fixtures) as a page and load the extension into it.
+ * `storage` seeds page localStorage, e.g. with snapshotStorage() of a previous page.
+ */
+function loadPage(fixture, { url = DEFAULT_URL, storage = null } = {}) {
+    const dom = new JSDOM(readFixture(fixture), { url, pretendToBeVisual: true, virtualConsole: quietConsole() });
+    if (storage) {
+        for (const [key, value] of Object.entries(storage)) dom.window.localStorage.setItem(key, value);
+    }
+    installGlobals(dom.window);
+    const api = {};
+    for (const file of SCRIPTS) {
+        const full = path.join(EXTENSION_DIR, file);
+        delete require.cache[require.resolve(full)];
+        const mod = require(full);
+        // What the next script in the manifest's shared scope would see
+        Object.assign(globalThis, mod);
+        Object.assign(api, mod);
+    }
+    return { dom, window: dom.window, document: dom.window.document, ...api };
+}
+
+function snapshotStorage(window) {
+    const out = {};
+    const store = window.localStorage;
+    for (let i = 0; i < store.length; i++) {
+        const key = store.key(i);
+        out[key] = store.getItem(key);
+    }
+    return out;
+}
+
+// A fully initialised TimelineManager on `page`; call closePage() when done
+async function startTimeline(page) {
+    const tm = new page.TimelineManager();
+    await tm.init();
+    return tm;
+}
+
+function closePage(page, tm = null) {
+    try { tm?.destroy(); } catch {}
+    page.dom.window.close();
+}
+
+/**
+ * A chrome global with in-memory storage.local and storage.sync areas, for TimelineStorage.
+ * Writes of keys for which `failSet(key)` returns true reject with a quota error in both areas.
+ */
+function fakeChrome({ failSet = () => false } = {}) {
+    const area = () => {
+        const items = {};
+        return {
+            items,
+            async get() { return { ...items }; },
+            async set(values) {
+                if (Object.keys(values).some(key => failSet(key))) throw new Error('QUOTA_BYTES quota exceeded');
+                Object.assign(items, values);
+            },
+            async remove(keys) {
+                for (const key of [].concat(keys)) delete items[key];
+            }
+        };
+    };
+    return { storage: { local: area(), sync: area(), onChanged: { addListener() {}, removeListener() {} } } };
+}
+
+module.exports = { loadPage, snapshotStorage, startTimeline, closePage, readFixture, fakeChrome };
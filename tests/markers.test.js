@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, snapshotStorage, startTimeline, closePage } = require('./helpers/dom');
+
+test('markers are placed by their offset along the conversation', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    assert.deepEqual(tm.markers.map(m => m.id), ['m-101', 'm-103', 'm-105']);
+    assert.deepEqual(tm.markers.map(m => m.baseN), [0, 0.4, 1]);
+    assert.deepEqual(tm.markers.map(m => m.role), ['user', 'user', 'user']);
+    // Rendered track positions respect the minimum gap
+    const gap = tm.getMinGap();
+    for (let i = 1; i < tm.yPositions.length; i++) {
+        assert.ok(tm.yPositions[i] - tm.yPositions[i - 1] >= gap - 0.5);
+    }
+    assert.ok(page.document.querySelector('.deepseek-timeline-bar .timeline-dot[data-target-turn-id="m-101"]'));
+    closePage(page, tm);
+});
+
+test('assistant markers join the track when enabled', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    page.window.localStorage.setItem('deepseekTimelineSettings', JSON.stringify({ showAssistantMarkers: true }));
+    const tm = await startTimeline(page);
+    assert.equal(tm.markers.length, 6);
+    assert.deepEqual(tm.markers.map(m => m.role), ['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+    assert.deepEqual(tm.markers.map(m => m.baseN), [0, 100, 400, 500, 1000, 1100].map(top => top / 1100));
+    // The popup still counts prompts; an active reply is numbered as the turn it answers
+    tm.activeTurnId = 'm-104';
+    const summary = tm.getSummary();
+    assert.equal(summary.turnCount, 3);
+    assert.deepEqual([summary.active.index, summary.active.total], [2, 3]);
+    closePage(page, tm);
+});
+
+test('stars persist per conversation and survive a reload', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.toggleStar('m-103');
+    const key = `deepseekTimelineStars:${tm.conversationId}`;
+    const saved = JSON.parse(page.window.localStorage.getItem(key));
+    assert.equal(saved.version, page.BOOKMARK_SCHEMA_VERSION);
+    assert.deepEqual(Object.keys(saved.bookmarks), ['m-103']);
+    assert.equal(saved.bookmarks['m-103'].summary, 'And what about fetch.min.bytes?');
+    tm.destroy();
+    const storage = snapshotStorage(page.window);
+    closePage(page);
+
+    const again = loadPage('deepseek-attributes.html', { storage });
+    const tm2 = await startTimeline(again);
+    assert.deepEqual(Array.from(tm2.starred.keys()), ['m-103']);
+    assert.equal(tm2.markerMap.get('m-103').starred, true);
+    assert.equal(tm2.markerMap.get('m-101').starred, false);
+    // Un-starring the last bookmark removes the key
+    tm2.toggleStar('m-103');
+    assert.equal(again.window.localStorage.getItem(key), null);
+    closePage(again, tm2);
+});
+
+test('legacy star arrays are migrated to bookmarks', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const cid = new page.TimelineManager().extractConversationIdFromPath();
+    page.window.localStorage.setItem(`deepseekTimelineStars:${cid}`, JSON.stringify(['m-105']));
+    const tm = await startTimeline(page);
+    assert.equal(tm.starred.get('m-105')?.category, 'star');
+    const saved = JSON.parse(page.window.localStorage.getItem(`deepseekTimelineStars:${cid}`));
+    assert.ok(saved.bookmarks['m-105']);
+    closePage(page, tm);
+});
+
+test('rebuilds keep marker objects and dots of surviving turns', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    page.window.localStorage.setItem('deepseekTimelineSettings', JSON.stringify({ showAssistantMarkers: true }));
+    const tm = await startTimeline(page);
+    const before = new Map(tm.markers.map(m => [m.id, m]));
+    const dots = new Map(tm.markers.map(m => [m.id, m.dotElement]));
+    assert.ok(dots.get('m-101'));
+
+    page.document.querySelector('[data-message-id="m-104"]').remove();
+    const prompt = page.document.querySelector('[data-message-id="m-101"] .ds-markdown');
+    prompt.textContent = 'How do I tune max.poll.records safely?';
+    await new Promise(resolve => setTimeout(resolve, 0)); // let the observer record the edit
+    tm.recalculateAndRenderMarkers();
+
+    assert.deepEqual(tm.markers.map(m => m.id), ['m-101', 'm-102', 'm-103', 'm-105', 'm-106']);
+    for (const m of tm.markers) assert.equal(m, before.get(m.id));
+    assert.equal(tm.markerMap.get('m-101').dotElement, dots.get('m-101'));
+    assert.equal(tm.markerMap.get('m-101').summary, 'How do I tune max.poll.records safely?');
+    assert.equal(dots.get('m-101').getAttribute('aria-label'), 'How do I tune max.poll.records safely?');
+    assert.equal(before.get('m-104').dotElement, null);
+    assert.equal(page.document.querySelectorAll('.timeline-dot[data-target-turn-id="m-104"]').length, 0);
+    // Positions follow the new layout
+    assert.deepEqual(tm.markers.map(m => m.baseN), [0, 100, 400, 1000, 1100].map(top => top / 1100));
+    closePage(page, tm);
+});
+
+test('rebuild timings are reported through the perf hooks', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const debug = console.debug;
+    const lines = [];
+    console.debug = (line) => lines.push(line);
+    try {
+        tm.debugPerf = true;
+        tm.recalculateAndRenderMarkers();
+    } finally {
+        console.debug = debug;
+    }
+    for (const name of ['recalc', 'recalc:annotate', 'recalc:diff', 'recalc:render']) {
+        assert.ok(lines.some(line => new RegExp(`^\\[TimelinePerf\\] ${name}: \\d+ms`).test(line)), name);
+    }
+    assert.ok(lines.some(line => line.includes('recalc:diff') && line.includes('3 kept, 0 added, 0 removed')));
+    closePage(page, tm);
+});
+
+test('time axis spreads markers by timestamp and shortens long pauses', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    page.window.localStorage.setItem('deepseekTimelineSettings', JSON.stringify({ timeAxis: true, timeAxisIdleGap: 30 }));
+    const t0 = 1718000000000;
+    const twoDays = 2 * 24 * 3600 * 1000;
+    page.document.querySelector('[data-message-id="m-105"]').setAttribute('data-timestamp', String(t0 + twoDays));
+    page.document.querySelector('[data-message-id="m-106"]').setAttribute('data-timestamp', String(t0 + twoDays + 6000));
+    const tm = await startTimeline(page);
+
+    assert.equal(tm.timeAxisActive, true);
+    assert.deepEqual(tm.markers.map(m => m.time), [t0, t0 + 60000, t0 + twoDays]);
+    const idle = 30 * 60 * 1000;
+    const pause = twoDays - 60000;
+    const drawn = idle * (1 + Math.log10(pause / idle));
+    const span = 60000 + drawn;
+    assert.deepEqual(tm.markers.map(m => m.baseN), [0, 60000 / span, 1]);
+    assert.deepEqual(tm.timeSeparators.map(s => [s.index, s.kind]), [[2, 'day']]);
+    const separators = page.document.querySelectorAll('.timeline-time-separator.day');
+    assert.equal(separators.length, 1);
+    // The new day is written on the rule
+    const dayLabel = new Date(t0 + twoDays).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    assert.equal(separators[0].querySelector('.timeline-time-separator-label').textContent, dayLabel);
+    assert.ok(page.document.querySelector('.deepseek-timeline-bar').classList.contains('time-axis'));
+    const dot = tm.markerMap.get('m-103').dotElement;
+    assert.ok(tm.getTooltipText(dot).startsWith(`${tm.formatTurnTime(t0 + 60000)} · `));
+    closePage(page, tm);
+});
+
+test('time axis falls back to scroll layout without timestamps', async () => {
+    const page = loadPage('deepseek-heuristic.html');
+    page.window.localStorage.setItem('deepseekTimelineSettings', JSON.stringify({ timeAxis: true }));
+    page.document.querySelectorAll('time').forEach(node => node.remove());
+    const tm = await startTimeline(page);
+    assert.equal(tm.timeAxisActive, false);
+    assert.deepEqual(tm.markers.map(m => m.baseN), tm.markers.map(m => m.top / tm.markers[tm.markers.length - 1].top));
+    assert.equal(page.document.querySelectorAll('.timeline-time-separator').length, 0);
+    closePage(page, tm);
+});
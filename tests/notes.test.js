@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage, snapshotStorage } = require('./helpers/dom');
+
+test('notes persist per turn without a star and survive a reload', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.setTurnNote('m-103', 'Check **fetch.min.bytes** against `fetch.max.wait.ms`');
+    const key = `deepseekTimelineNotes:${tm.conversationId}`;
+    const saved = JSON.parse(page.window.localStorage.getItem(key));
+    assert.equal(saved.version, page.NOTE_SCHEMA_VERSION);
+    assert.deepEqual(Object.keys(saved.notes), ['m-103']);
+    assert.equal(saved.notes['m-103'].summary, 'And what about fetch.min.bytes?');
+    assert.equal(tm.starred.size, 0);
+    const dot = tm.markerMap.get('m-103').dotElement;
+    assert.ok(dot.classList.contains('has-note'));
+    assert.equal(dot.classList.contains('starred'), false);
+    assert.equal(tm.getTooltipText(dot), '📝 Check fetch.min.bytes against fetch.max.wait.ms — And what about fetch.min.bytes?');
+    tm.destroy();
+    const storage = snapshotStorage(page.window);
+    closePage(page);
+
+    const again = loadPage('deepseek-attributes.html', { storage });
+    const tm2 = await startTimeline(again);
+    assert.ok(tm2.markerMap.get('m-103').dotElement.classList.contains('has-note'));
+    // Clearing the text deletes the note and the key
+    tm2.setTurnNote('m-103', '  ');
+    assert.equal(tm2.markerMap.get('m-103').dotElement.classList.contains('has-note'), false);
+    assert.equal(again.window.localStorage.getItem(key), null);
+    closePage(again, tm2);
+});
+
+test('bookmark notes move to the notes store once', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const cid = new page.TimelineManager().extractConversationIdFromPath();
+    page.window.localStorage.setItem(`deepseekTimelineStars:${cid}`, JSON.stringify({
+        version: 2,
+        bookmarks: { 'm-105': { label: 'Tuning', category: 'decision', note: 'Keep both at defaults', createdAt: 7 } }
+    }));
+    const tm = await startTimeline(page);
+    assert.equal(tm.notes.get('m-105').text, 'Keep both at defaults');
+    assert.equal(tm.starred.get('m-105').note, '');
+    const stars = JSON.parse(page.window.localStorage.getItem(`deepseekTimelineStars:${cid}`));
+    assert.equal(stars.bookmarks['m-105'].note, '');
+    assert.ok(page.window.localStorage.getItem(`deepseekTimelineNotes:${cid}`));
+    const tip = tm.getTooltipText(tm.markerMap.get('m-105').dotElement);
+    assert.ok(tip.startsWith('★ Decision · Tuning — 📝 Keep both at defaults — '));
+    closePage(page, tm);
+});
+
+test('the editor saves a note without starring when the star box is cleared', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const dot = tm.markerMap.get('m-101').dotElement;
+    tm.openBookmarkEditor('m-101', dot, { focus: 'note' });
+    const editor = tm.ui.bookmarkEditor;
+    assert.equal(editor.querySelector('.timeline-bookmark-star input').checked, false);
+    assert.equal(page.document.activeElement, editor.querySelector('.timeline-bookmark-note'));
+    editor.querySelector('.timeline-bookmark-note').value = 'Why 200?';
+    tm.commitBookmarkEditor();
+    assert.equal(tm.notes.get('m-101').text, 'Why 200?');
+    assert.equal(tm.starred.has('m-101'), false);
+
+    // Opened as a bookmark editor, the same turn gets starred and keeps its note
+    tm.openBookmarkEditor('m-101', dot);
+    assert.equal(editor.querySelector('.timeline-bookmark-note').value, 'Why 200?');
+    tm.commitBookmarkEditor();
+    assert.equal(tm.starred.has('m-101'), true);
+    assert.equal(tm.notes.get('m-101').text, 'Why 200?');
+    closePage(page, tm);
+});
+
+test('note Markdown renders as elements, never as HTML', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const box = page.document.createElement('div');
+    box.appendChild(tm.renderNoteMarkdown('# Plan\n- raise *max.poll.records*\n- see [docs](https://kafka.apache.org)\n\n<b>x</b> `y`\n```\na=1\n```'));
+    assert.equal(box.querySelector('.timeline-note-heading').textContent, 'Plan');
+    assert.deepEqual(Array.from(box.querySelectorAll('ul li'), li => li.textContent), ['raise max.poll.records', 'see docs']);
+    assert.equal(box.querySelector('li em').textContent, 'max.poll.records');
+    assert.equal(box.querySelector('b'), null);
+    assert.equal(box.querySelector('p').textContent, '<b>x</b> y');
+    assert.equal(box.querySelector('pre').textContent, 'a=1');
+    closePage(page, tm);
+});
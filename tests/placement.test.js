@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// jsdom has no layout: give a dot a rect at `left` in a 1024px wide window
+function placeDot(dot, left) {
+    dot.getBoundingClientRect = () => ({ left, right: left + 24, top: 200, bottom: 224, width: 24, height: 24 });
+}
+
+test('placement choices are validated against the schema', () => {
+    const page = loadPage('deepseek-attributes.html');
+    assert.equal(page.TimelineSettings.normalize({ dock: 'left' }).dock, 'left');
+    assert.equal(page.TimelineSettings.normalize({ dock: 'top' }).dock, 'right');
+    assert.equal(page.TimelineSettings.normalize({}).dock, 'right');
+    closePage(page);
+});
+
+test('tooltips open towards the conversation for either dock side', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const bar = page.document.querySelector('.deepseek-timeline-bar');
+    const dot = tm.markers[0].dotElement;
+    placeDot(dot, 985);
+    assert.equal(tm.computePlacementInfo(dot).placement, 'left');
+
+    tm.applySettings({ ...tm.settings.values, dock: 'left' });
+    assert.ok(bar.classList.contains('dock-left'));
+    assert.ok(page.document.querySelector('.timeline-actions').classList.contains('dock-left'));
+    placeDot(dot, 15);
+    assert.equal(tm.contentSide(), 'right');
+    assert.equal(tm.computePlacementInfo(dot).placement, 'right');
+    // Too tight on the preferred side: the roomier one wins
+    placeDot(dot, 985);
+    assert.equal(tm.computePlacementInfo(dot).placement, 'left');
+    closePage(page, tm);
+});
+
+test('auto-hide reveals the bar near the pointer or on focus and hides it again', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.revealHideDelay = 10;
+    tm.applySettings({ ...tm.settings.values, autoHide: true });
+    const bar = page.document.querySelector('.deepseek-timeline-bar');
+    bar.getBoundingClientRect = () => ({ left: 985, right: 1009, top: 60, bottom: 700, width: 24, height: 640 });
+    assert.ok(bar.classList.contains('auto-hidden'));
+
+    const move = (clientX, clientY) => page.document.body.dispatchEvent(new page.window.MouseEvent('pointermove', { bubbles: true, clientX, clientY }));
+    move(960, 300);
+    assert.equal(bar.classList.contains('auto-hidden'), false);
+    move(400, 300);
+    assert.equal(bar.classList.contains('auto-hidden'), false);
+    await sleep(30);
+    assert.ok(bar.classList.contains('auto-hidden'));
+
+    // Keyboard users tab into the hidden bar
+    tm.markers[0].dotElement.focus();
+    assert.equal(bar.classList.contains('auto-hidden'), false);
+    await sleep(30);
+    assert.equal(bar.classList.contains('auto-hidden'), false);
+    closePage(page, tm);
+});
+
+test('the collapsed line widens while the pointer is on it', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.revealHideDelay = 10;
+    tm.applySettings({ ...tm.settings.values, collapsedLine: true });
+    const bar = page.document.querySelector('.deepseek-timeline-bar');
+    bar.getBoundingClientRect = () => ({ left: 1000, right: 1006, top: 60, bottom: 700, width: 6, height: 640 });
+    assert.ok(bar.classList.contains('line-collapsed'));
+    tm.handleRevealPointer({ target: page.document.body, clientX: 1003, clientY: 300 });
+    assert.equal(bar.classList.contains('line-collapsed'), false);
+    tm.handleRevealPointer({ target: page.document.body, clientX: 900, clientY: 300 });
+    await sleep(30);
+    assert.ok(bar.classList.contains('line-collapsed'));
+    tm.applySettings({ ...tm.settings.values, collapsedLine: false });
+    assert.equal(bar.classList.contains('line-collapsed'), false);
+    assert.equal(tm.onRevealPointerMove, null);
+    closePage(page, tm);
+});
+
+test('the floating bar is dragged by its grip and keeps its position', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.applySettings({ ...tm.settings.values, dock: 'floating' });
+    const bar = page.document.querySelector('.deepseek-timeline-bar');
+    const grip = bar.querySelector('.timeline-drag-grip');
+    assert.ok(bar.classList.contains('floating'));
+
+    const pointer = (target, type, clientX, clientY) => target.dispatchEvent(new page.window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientX, clientY }));
+    pointer(grip, 'pointerdown', 0, 0);
+    assert.equal(tm.scrub, null);
+    pointer(page.window, 'pointermove', 300, 200);
+    assert.equal(bar.style.getPropertyValue('--timeline-float-left'), '300px');
+    assert.equal(bar.style.getPropertyValue('--timeline-float-top'), '200px');
+    pointer(page.window, 'pointerup', 300, 200);
+    assert.equal(bar.classList.contains('moving'), false);
+    const saved = JSON.parse(page.window.localStorage.getItem('deepseekTimelinePlacement'));
+    assert.deepEqual(saved, tm.floatingPosition);
+
+    // Docked again, the grip does nothing
+    tm.applySettings({ ...tm.settings.values, dock: 'right' });
+    pointer(grip, 'pointerdown', 0, 0);
+    assert.equal(tm.gripDrag, null);
+    closePage(page, tm);
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function hover(page, dot, init = {}) {
+    dot.dispatchEvent(new page.window.MouseEvent('mouseover', { bubbles: true, ...init }));
+}
+
+test('hovering a dot opens the preview card after the delay', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.previewDelay = 20;
+    const dot = tm.markerMap.get('m-101').dotElement;
+    hover(page, dot);
+    assert.equal(tm.ui.previewCard, null);
+    await sleep(40);
+    const card = page.document.querySelector('.timeline-preview.visible');
+    assert.ok(card);
+    const meta = card.querySelector('.timeline-preview-meta').textContent;
+    assert.ok(meta.startsWith('Turn 1 of 3 · '));
+    assert.ok(meta.includes(tm.formatTurnTime(1718000000000)));
+    const headings = Array.from(card.querySelectorAll('.timeline-preview-heading'), n => n.textContent);
+    assert.deepEqual(headings, ['Prompt · 9 words', `Reply · ${tm.countWords(tm.readTurnText(page.document.querySelector('[data-message-id="m-102"]')))} words`]);
+    assert.equal(card.querySelector('.timeline-preview-text').textContent, 'How do I tune max.poll.records for a Kafka consumer?');
+    // Code from the reply stays code
+    assert.equal(card.querySelector('pre.timeline-preview-code').textContent, 'max.poll.records=200\nmax.poll.interval.ms=300000');
+
+    dot.dispatchEvent(new page.window.MouseEvent('mouseout', { bubbles: true }));
+    assert.equal(card.classList.contains('visible'), false);
+    closePage(page, tm);
+});
+
+test('with reply markers shown, the preview numbers prompts only', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    page.window.localStorage.setItem('deepseekTimelineSettings', JSON.stringify({ showAssistantMarkers: true }));
+    const tm = await startTimeline(page);
+    const meta = (id) => {
+        hover(page, tm.markerMap.get(id).dotElement, { shiftKey: true });
+        return page.document.querySelector('.timeline-preview.visible .timeline-preview-meta').textContent;
+    };
+    assert.ok(meta('m-103').startsWith('Turn 2 of 3'));
+    assert.ok(meta('m-104').startsWith('Reply to turn 2'));
+    closePage(page, tm);
+});
+
+test('Shift opens the preview at once and tables read as rows', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const dot = tm.markerMap.get('m-105').dotElement;
+    hover(page, dot, { shiftKey: true });
+    const card = page.document.querySelector('.timeline-preview.visible');
+    assert.ok(card);
+    const rows = Array.from(card.querySelectorAll('.timeline-preview-text'), n => n.textContent).slice(1);
+    assert.deepEqual(rows, ['Setting | Effect', 'max.poll.records | Batch size per poll', 'fetch.min.bytes | Minimum bytes per fetch']);
+    page.window.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(card.classList.contains('visible'), false);
+    page.window.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Shift' }));
+    assert.equal(card.classList.contains('visible'), true);
+    closePage(page, tm);
+});
+
+test('word counts treat each CJK character as a word', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = new page.TimelineManager();
+    assert.equal(tm.countWords("Don't tune max.poll.records blindly"), 4);
+    assert.equal(tm.countWords('如何调整 Kafka 消费者'), 8);
+    assert.equal(tm.formatWordCount('one'), '1 word');
+    closePage(page);
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePage } = require('./helpers/dom');
+
+function annotate(fixture) {
+    const page = loadPage(fixture);
+    const tm = new page.TimelineManager();
+    tm.conversationContainer = page.document.querySelector('.ds-scroll-area').firstElementChild;
+    tm.annotateAllMessages();
+    const turns = Array.from(page.document.querySelectorAll('[data-turn]'));
+    return { page, tm, turns };
+}
+
+test('roles come from data-role attributes when DeepSeek provides them', () => {
+    const { page, turns } = annotate('deepseek-attributes.html');
+    assert.deepEqual(turns.map(el => el.dataset.turn), ['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+    closePage(page);
+});
+
+test('roles fall back to layout and reply toolbar heuristics, then alternation', () => {
+    const { page, tm, turns } = annotate('deepseek-heuristic.html');
+    assert.equal(turns.length, 5);
+    // right-aligned prompt, copy button, right-aligned prompt, no cue (alternates), no cue (alternates)
+    assert.deepEqual(turns.map(el => el.dataset.turn), ['user', 'assistant', 'user', 'assistant', 'user']);
+    assert.equal(tm.heuristicRole(turns[0]), 'user');
+    assert.equal(tm.heuristicRole(turns[1]), 'assistant');
+    assert.equal(tm.heuristicRole(turns[3]), null);
+    closePage(page);
+});
+
+test('collectPotentialMessageNodes drops nested matches', () => {
+    const { page, tm } = annotate('deepseek-attributes.html');
+    const nodes = tm.collectPotentialMessageNodes();
+    assert.equal(nodes.length, 6);
+    assert.ok(nodes.every(el => el.classList.contains('ds-message')));
+    closePage(page);
+});
+
+test('normalizeRole recognises common author spellings', () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = new page.TimelineManager();
+    assert.equal(tm.normalizeRole('Human'), 'user');
+    assert.equal(tm.normalizeRole('message user-bubble'), 'user');
+    assert.equal(tm.normalizeRole('DeepSeek'), 'assistant');
+    assert.equal(tm.normalizeRole('ai'), 'assistant');
+    assert.equal(tm.normalizeRole('username'), null);
+    assert.equal(tm.normalizeRole(''), null);
+    closePage(page);
+});
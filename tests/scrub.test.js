@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+// jsdom has no PointerEvent; the handlers only read clientY, button and pointerId
+function pointer(page, target, type, clientY) {
+    target.dispatchEvent(new page.window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientY }));
+}
+
+test('nearest dot lookup picks the closer neighbour and clamps at the ends', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.yPositions = [20, 100, 180];
+    assert.equal(tm.nearestMarkerIndex(-50), 0);
+    assert.equal(tm.nearestMarkerIndex(59), 0);
+    assert.equal(tm.nearestMarkerIndex(61), 1);
+    assert.equal(tm.nearestMarkerIndex(100), 1);
+    assert.equal(tm.nearestMarkerIndex(150), 2);
+    assert.equal(tm.nearestMarkerIndex(900), 2);
+    tm.yPositions = [];
+    assert.equal(tm.nearestMarkerIndex(10), -1);
+    closePage(page, tm);
+});
+
+test('dragging along the bar previews the nearest turn and jumps on release', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const jumps = [];
+    tm.smoothScrollTo = (el) => jumps.push(el.dataset.messageId);
+    const ys = tm.yPositions;
+    const first = tm.markers[0].dotElement;
+
+    pointer(page, first, 'pointerdown', ys[0]);
+    pointer(page, page.window, 'pointermove', ys[1]);
+    const bar = page.document.querySelector('.deepseek-timeline-bar');
+    assert.ok(bar.classList.contains('scrubbing'));
+    assert.ok(tm.markers[1].dotElement.classList.contains('scrub-target'));
+    assert.match(page.document.querySelector('.timeline-tooltip').textContent, /fetch\.min\.bytes/);
+    // Hovering out of a dot mid-drag keeps the scrub tooltip
+    first.dispatchEvent(new page.window.MouseEvent('mouseout', { bubbles: true, relatedTarget: bar }));
+    assert.ok(tm.ui.tooltip.classList.contains('visible') || tm.showRafId !== null);
+
+    pointer(page, page.window, 'pointermove', ys[2]);
+    pointer(page, page.window, 'pointerup', ys[2]);
+    assert.deepEqual(jumps, ['m-105']);
+    assert.equal(bar.classList.contains('scrubbing'), false);
+    // The click that follows the release does not jump back to the pressed dot
+    first.click();
+    assert.deepEqual(jumps, ['m-105']);
+    // Nothing was starred by the held press
+    assert.equal(tm.starred.size, 0);
+    closePage(page, tm);
+});
+
+test('Escape abandons a scrub without jumping', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const jumps = [];
+    tm.smoothScrollTo = (el) => jumps.push(el.dataset.messageId);
+    const ys = tm.yPositions;
+    pointer(page, tm.markers[0].dotElement, 'pointerdown', ys[0]);
+    pointer(page, page.window, 'pointermove', ys[2]);
+    page.window.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(tm.scrub, null);
+    pointer(page, page.window, 'pointerup', ys[2]);
+    assert.deepEqual(jumps, []);
+    assert.equal(page.document.querySelectorAll('.scrub-target').length, 0);
+    closePage(page, tm);
+});
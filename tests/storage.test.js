@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, closePage, fakeChrome } = require('./helpers/dom');
+
+const FLAG = 'deepseekTimelineStorageMigrated:chat.deepseek.com';
+
+test('the localStorage migration only removes keys that reached chrome.storage', async (t) => {
+    const page = loadPage('deepseek-attributes.html', {
+        storage: {
+            'deepseekTimelineStars:c1': JSON.stringify(['ds-turn-a']),
+            'deepseekTimelineStars:c2': JSON.stringify(['ds-turn-b'])
+        }
+    });
+    let full = true;
+    const chrome = fakeChrome({ failSet: key => full && key === 'deepseekTimelineStars:c2' });
+    globalThis.chrome = chrome;
+    t.after(() => { delete globalThis.chrome; closePage(page); });
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    await new page.TimelineStorage().ready();
+    const local = page.window.localStorage;
+    assert.equal(chrome.storage.sync.items['deepseekTimelineStars:c1'], JSON.stringify(['ds-turn-a']));
+    assert.equal(local.getItem('deepseekTimelineStars:c1'), null);
+    // The dropped write leaves its only copy where it was, and the migration pending
+    assert.equal(local.getItem('deepseekTimelineStars:c2'), JSON.stringify(['ds-turn-b']));
+    assert.equal(FLAG in chrome.storage.local.items || FLAG in chrome.storage.sync.items, false);
+    assert.ok(warn.mock.calls.length > 0);
+
+    // The next page load finishes the job
+    full = false;
+    await new page.TimelineStorage().ready();
+    assert.equal(chrome.storage.sync.items['deepseekTimelineStars:c2'], JSON.stringify(['ds-turn-b']));
+    assert.equal(local.getItem('deepseekTimelineStars:c2'), null);
+    assert.equal(chrome.storage.local.items[FLAG], '1');
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function dotFor(page, id) {
+    return page.document.querySelector(`.timeline-dot[data-target-turn-id="${id}"]`);
+}
+
+async function startFastTimeline(page) {
+    const tm = await startTimeline(page);
+    tm.tailUpdateInterval = 5;
+    tm.generationIdleDelay = 40;
+    return tm;
+}
+
+test('a growing last reply updates the tail without rebuilding dots', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startFastTimeline(page);
+    const before = tm.markers.map(m => m.dotElement);
+    let rebuilds = 0;
+    const recalc = tm.recalculateAndRenderMarkers;
+    tm.recalculateAndRenderMarkers = function () { rebuilds++; return recalc.call(this); };
+
+    const reply = page.document.querySelector('[data-message-id="m-106"] .ds-markdown');
+    reply.appendChild(page.document.createTextNode(' Both settings interact with fetch.max.wait.ms.'));
+    await sleep(20);
+    assert.equal(tm.generating, true);
+    // Assistant markers are off, so the pulse sits on the prompt the reply answers
+    assert.equal(tm.generatingTurnId, 'm-105');
+    assert.ok(dotFor(page, 'm-105').classList.contains('generating'));
+    assert.deepEqual(tm.markers.map(m => m.dotElement), before);
+    assert.equal(rebuilds, 0);
+
+    await sleep(80);
+    assert.equal(tm.generating, false);
+    assert.equal(page.document.querySelectorAll('.timeline-dot.generating').length, 0);
+    // Completion settles with one full pass
+    assert.equal(rebuilds, 1);
+    closePage(page, tm);
+});
+
+test('the streaming reply marker refreshes its summary', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    page.window.localStorage.setItem('deepseekTimelineSettings', JSON.stringify({ showAssistantMarkers: true, minimapMode: true }));
+    const tm = await startFastTimeline(page);
+    const tail = tm.markerMap.get('m-106');
+    const weight = tail.weight;
+    const cell = page.document.querySelector('[data-message-id="m-106"] td');
+    cell.textContent += ' (default 1 byte, so the broker answers as soon as any data is available)'.repeat(8);
+    await sleep(20);
+    assert.equal(tm.generatingTurnId, 'm-106');
+    assert.match(tail.summary, /answers as soon as any data/);
+    assert.ok(tail.weight > weight);
+    closePage(page, tm);
+});
+
+test('turns appended after the tail extend the track in place', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startFastTimeline(page);
+    const first = dotFor(page, 'm-101');
+    const list = page.document.querySelector('[data-message-list]');
+    list.insertAdjacentHTML('beforeend', `
+        <div class="ds-message" data-message-id="m-107" data-role="user" data-fixture-top="1400">
+            <div class="ds-markdown">Which one should I change first?</div>
+        </div>
+        <div class="ds-message" data-message-id="m-108" data-role="assistant" data-fixture-top="1500">
+            <div class="ds-markdown"></div>
+        </div>`);
+    await sleep(0);
+    assert.deepEqual(tm.markers.map(m => m.id), ['m-101', 'm-103', 'm-105', 'm-107']);
+    assert.deepEqual(tm.markers.map(m => m.baseN), [0, 400 / 1400, 1000 / 1400, 1]);
+    assert.equal(dotFor(page, 'm-101'), first);
+    assert.ok(dotFor(page, 'm-107'));
+    // The empty reply is the new tail; its first tokens start the pulse on m-107
+    page.document.querySelector('[data-message-id="m-108"] .ds-markdown').textContent = 'Start with';
+    await sleep(20);
+    assert.equal(tm.generatingTurnId, 'm-107');
+    closePage(page, tm);
+});
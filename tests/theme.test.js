@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('theme settings keep only known palettes and #rrggbb accents', () => {
+    const page = loadPage('deepseek-attributes.html');
+    const normalize = page.TimelineSettings.normalize;
+    assert.equal(normalize({ accentColor: '#FF0066' }).accentColor, '#ff0066');
+    assert.equal(normalize({ accentColor: 'red' }).accentColor, '');
+    assert.equal(normalize({ palette: 'sepia' }).palette, 'default');
+    assert.equal(normalize({ theme: 'dark' }).theme, 'dark');
+    closePage(page);
+});
+
+test('the automatic theme follows the background the page paints, not its classes', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    tm.themeSettleDelay = 10;
+    const root = page.document.documentElement;
+    const body = page.document.body;
+    assert.equal(root.getAttribute('data-timeline-theme'), 'auto');
+    assert.equal(root.getAttribute('data-timeline-scheme'), 'light');
+
+    body.style.backgroundColor = 'rgb(24, 24, 27)';
+    await sleep(40);
+    assert.equal(root.getAttribute('data-timeline-scheme'), 'dark');
+    // A class that claims otherwise does not matter
+    body.classList.add('light');
+    await sleep(40);
+    assert.equal(root.getAttribute('data-timeline-scheme'), 'dark');
+    body.style.backgroundColor = 'rgb(255, 255, 255)';
+    await sleep(40);
+    assert.equal(root.getAttribute('data-timeline-scheme'), 'light');
+    closePage(page, tm);
+});
+
+test('a chosen theme, palette and accent apply at once and are removed with the timeline', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const root = page.document.documentElement;
+    page.document.body.style.backgroundColor = 'rgb(255, 255, 255)';
+    tm.applySettings({ ...tm.settings.values, theme: 'dark', palette: 'high-contrast', accentColor: '#ff0066' });
+    assert.equal(root.getAttribute('data-timeline-scheme'), 'dark');
+    assert.equal(root.getAttribute('data-timeline-palette'), 'high-contrast');
+    assert.ok(root.hasAttribute('data-timeline-accent'));
+    assert.equal(root.style.getPropertyValue('--timeline-accent'), '#ff0066');
+    // A fixed theme does not watch the page
+    assert.equal(tm.themeObserver, null);
+
+    tm.applySettings({ ...tm.settings.values, theme: 'light', palette: 'default', accentColor: '' });
+    assert.equal(root.getAttribute('data-timeline-scheme'), 'light');
+    assert.equal(root.hasAttribute('data-timeline-palette'), false);
+    assert.equal(root.hasAttribute('data-timeline-accent'), false);
+    assert.equal(root.style.getPropertyValue('--timeline-accent'), '');
+
+    tm.destroy();
+    assert.equal(root.hasAttribute('data-timeline-scheme'), false);
+    assert.equal(root.hasAttribute('data-timeline-theme'), false);
+    closePage(page);
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startTimeline, closePage } = require('./helpers/dom');
+
+function narrow(page, width = 420) {
+    Object.defineProperty(page.window, 'innerWidth', { value: width, configurable: true });
+}
+
+test('narrow windows get the folded touch layout with wider dot spacing', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    narrow(page);
+    const tm = await startTimeline(page);
+    const bar = page.document.querySelector('.deepseek-timeline-bar');
+    const handle = page.document.querySelector('.timeline-edge-handle');
+    assert.equal(tm.touchLayout, true);
+    assert.ok(bar.classList.contains('touch') && bar.classList.contains('touch-collapsed'));
+    assert.equal(tm.getMinGap(), tm.touchMinGap);
+
+    handle.click();
+    assert.equal(bar.classList.contains('touch-collapsed'), false);
+    assert.equal(handle.getAttribute('aria-expanded'), 'true');
+    // Taps on the bar keep it open, taps on the conversation fold it
+    bar.dispatchEvent(new page.window.MouseEvent('pointerdown', { bubbles: true }));
+    assert.equal(tm.touchExpanded, true);
+    page.document.querySelector('[data-message-id="m-102"]').dispatchEvent(new page.window.MouseEvent('pointerdown', { bubbles: true }));
+    assert.equal(tm.touchExpanded, false);
+    assert.ok(bar.classList.contains('touch-collapsed'));
+    closePage(page, tm);
+});
+
+test('the touch layout follows the setting and the window width', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    assert.equal(tm.touchLayout, false);
+    assert.equal(page.document.querySelector('.timeline-edge-handle').classList.contains('touch'), false);
+    narrow(page);
+    page.window.dispatchEvent(new page.window.Event('resize'));
+    assert.equal(tm.touchLayout, true);
+    tm.applySettings({ ...tm.settings.values, touchMode: false });
+    assert.equal(tm.touchLayout, false);
+    assert.equal(page.document.querySelector('.deepseek-timeline-bar').classList.contains('touch'), false);
+    closePage(page, tm);
+});
+
+test('a finger drag scrubs to the nearest dot and jumps on release', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    narrow(page);
+    const tm = await startTimeline(page);
+    tm.setTouchExpanded(true);
+    const jumps = [];
+    tm.smoothScrollTo = (el) => jumps.push(el.dataset.messageId);
+    const ys = tm.yPositions;
+    const finger = (type, clientY) => ({ type, pointerId: 7, pointerType: 'touch', button: 0, clientY });
+
+    tm.beginScrub(finger('pointerdown', ys[0]));
+    tm.moveScrub(finger('pointermove', ys[0] + 2));
+    assert.equal(tm.scrub.moved, false); // still within the long-press tolerance
+    tm.moveScrub(finger('pointermove', ys[1] - 3));
+    const target = tm.markers[1].dotElement;
+    assert.ok(target.classList.contains('scrub-target'));
+    assert.match(page.document.querySelector('.timeline-tooltip').textContent, /fetch\.min\.bytes/);
+    tm.moveScrub(finger('pointermove', ys[2] + 500));
+    assert.equal(target.classList.contains('scrub-target'), false);
+    tm.endScrub(finger('pointerup', ys[2] + 500));
+    assert.deepEqual(jumps, ['m-105']);
+    assert.equal(tm.scrub, null);
+    assert.ok(tm.suppressClickUntil > Date.now());
+
+    // Mouse drags only scrub while the setting allows it; fingers always do
+    tm.applySettings({ ...tm.settings.values, scrubDrag: false });
+    tm.beginScrub({ ...finger('pointerdown', ys[0]), pointerType: 'mouse' });
+    assert.equal(tm.scrub, null);
+    tm.beginScrub(finger('pointerdown', ys[0]));
+    assert.ok(tm.scrub);
+    tm.endScrub(null);
+    closePage(page, tm);
+});
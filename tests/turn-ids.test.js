@@ -0,0 +1,124 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, snapshotStorage, startTimeline, closePage } = require('./helpers/dom');
+
+test('native message ids become turn ids', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const ids = Array.from(page.document.querySelectorAll('[data-turn]'), el => el.dataset.turnId);
+    assert.deepEqual(ids, ['m-101', 'm-102', 'm-103', 'm-104', 'm-105', 'm-106']);
+    closePage(page, tm);
+});
+
+test('a pending jump finds turns whose ids are not plain identifiers', async () => {
+    const page = loadPage('deepseek-attributes.html');
+    const tm = await startTimeline(page);
+    const scrolled = [];
+    tm.smoothScrollTo = (el) => scrolled.push(el);
+    // Ids come from the page, sessionStorage or an imported backup: quotes and brackets must not break the selector
+    const target = page.document.querySelector('[data-turn-id="m-105"]');
+    target.setAttribute('data-turn-id', 'm"] 105');
+    tm.pendingJump = { turnId: 'm"] 105', slot: '', expires: Date.now() + 15000 };
+    tm.consumePendingJump();
+    assert.deepEqual(scrolled, [target]);
+    closePage(page, tm);
+});
+
+test('generated ids are content-addressed, unique and stable across reloads', async () => {
+    const first = loadPage('deepseek-heuristic.html');
+    const tm1 = await startTimeline(first);
+    const ids = Array.from(first.document.querySelectorAll('[data-turn]'), el => el.dataset.turnId);
+    assert.equal(ids.length, 5);
+    assert.ok(ids.every(id => /^ds-turn-[0-9a-z]+(-\d+)?$/.test(id)));
+    assert.equal(new Set(ids).size, ids.length);
+    // The two "continue" prompts share content and differ only by repeat number
+    assert.equal(ids[4], `${ids[2]}-2`);
+    tm1.destroy();
+    const storage = snapshotStorage(first.window);
+    closePage(first);
+
+    // Nothing has to be remembered: the same page yields the same ids with or without saved data
+    for (const seed of [storage, null]) {
+        const again = loadPage('deepseek-heuristic.html', { storage: seed });
+        const tm2 = await startTimeline(again);
+        const reloaded = Array.from(again.document.querySelectorAll('[data-turn]'), el => el.dataset.turnId);
+        assert.deepEqual(reloaded, ids);
+        closePage(again, tm2);
+    }
+});
+
+test('toolbar labels and timestamps inside a message do not change its id', () => {
+    const page = loadPage('deepseek-heuristic.html');
+    const tm = new page.TimelineManager();
+    const [, reply] = page.document.querySelectorAll('.ds-msg');
+    const before = tm.readTurnText(reply);
+    reply.querySelector('button').textContent = 'Copied!';
+    reply.insertAdjacentHTML('beforeend', '<time datetime="2024-06-10T08:01:00Z">1 minute ago</time>');
+    assert.equal(tm.readTurnText(reply), before);
+    assert.match(before, /^Use this pattern:/);
+    closePage(page);
+});
+
+test('stars saved under pre-upgrade fingerprint ids move to the new ids', async () => {
+    // Fingerprints the old id scheme would have stored for this page
+    const probe = loadPage('deepseek-heuristic.html');
+    const tmProbe = new probe.TimelineManager();
+    tmProbe.conversationContainer = probe.document.querySelector('.ds-scroll-area').firstElementChild;
+    tmProbe.inferRoles(tmProbe.collectPotentialMessageNodes());
+    const prompts = probe.document.querySelectorAll('.ds-msg');
+    const cid = tmProbe.conversationId;
+    const storage = {
+        [`deepseekTimelineMessageIds:${cid}`]: JSON.stringify([
+            [tmProbe.computeMessageFingerprint(prompts[2]), 'ds-turn-old3'],
+            [tmProbe.computeMessageFingerprint(prompts[4]), 'ds-turn-old5']
+        ]),
+        [`deepseekTimelineStars:${cid}`]: JSON.stringify({ version: 2, bookmarks: { 'ds-turn-old5': { category: 'todo', createdAt: 5 } } })
+    };
+    closePage(probe);
+
+    const page = loadPage('deepseek-heuristic.html', { storage });
+    const tm = await startTimeline(page);
+    const fifth = page.document.querySelectorAll('.ds-msg')[4].dataset.turnId;
+    assert.deepEqual(Array.from(tm.starred.keys()), [fifth]);
+    assert.equal(tm.starred.get(fifth).category, 'todo');
+    assert.equal(tm.markerMap.get(fifth).starred, true);
+    // Nothing depends on the old map any more
+    assert.equal(page.window.localStorage.getItem(`deepseekTimelineMessageIds:${cid}`), null);
+    closePage(page, tm);
+});
+
+test('orphaned stars re-attach by text, and repeats only by position', async () => {
+    const probe = loadPage('deepseek-heuristic.html');
+    const cid = new probe.TimelineManager().conversationId;
+    closePage(probe);
+    const bookmarks = {
+        'ds-turn-gone1': { summary: 'Write a regex that matches ISO dates 08:00', role: 'user', createdAt: 1 },
+        // Which "continue"? Ambiguous without a position...
+        'ds-turn-gone2': { summary: 'continue 08:02', role: 'user', createdAt: 2 },
+        // ...resolved by the remembered ordinal of the fifth turn
+        'ds-turn-gone3': { summary: 'continue', role: 'user', ordinal: 4, createdAt: 3 },
+        'ds-turn-gone4': { summary: 'continue', role: 'user', createdAt: 4 }
+    };
+    const page = loadPage('deepseek-heuristic.html', {
+        storage: { [`deepseekTimelineStars:${cid}`]: JSON.stringify({ version: 2, bookmarks }) }
+    });
+    const tm = await startTimeline(page);
+    const ids = Array.from(page.document.querySelectorAll('.ds-msg'), el => el.dataset.turnId);
+    assert.deepEqual(Array.from(tm.starred.keys()).sort(), [ids[0], ids[2], ids[4], 'ds-turn-gone4'].sort());
+    assert.equal(tm.starred.get(ids[0]).createdAt, 1);
+    assert.equal(tm.starred.get(ids[2]).createdAt, 2);
+    assert.equal(tm.starred.get(ids[4]).createdAt, 3);
+    assert.equal(tm.starred.get(ids[4]).ordinal, 4);
+    closePage(page, tm);
+});
+
+test('message timestamps feed the fingerprint', () => {
+    const page = loadPage('deepseek-heuristic.html');
+    const tm = new page.TimelineManager();
+    const [prompt] = page.document.querySelectorAll('.ds-msg');
+    assert.equal(tm.extractTimestampText(prompt), '2024-06-10T08:00:00Z');
+    assert.match(tm.computeMessageFingerprint(prompt), /"t":"2024-06-10T08:00:00Z"/);
+    closePage(page);
+});